@@ -2,29 +2,171 @@
 import express from "express";
 import Stripe from "stripe";
 import dotenv from "dotenv";
-import OpenAI from "openai";
 import * as line from "@line/bot-sdk";
 import admin from "firebase-admin";
-import { createRemoteJWKSet, jwtVerify } from "jose";
 
 import { system as aikoSystem, templates as aikoTemplates } from "./Prompt.js";
 import chatRoutes from "./routes/chat.js";
+import { loadConversationContext, refreshSummaryIfNeeded } from "./lib/memory.js";
+import {
+  downloadLineContent,
+  detectIngredients,
+  mergeIngredients,
+  formatScanReply,
+  applyScanCorrection,
+  buildCorrectionChoiceMessage,
+} from "./lib/fridge.js";
+import {
+  SPANS as MEAL_PLAN_SPANS,
+  detectMealPlanRequest,
+  generateMealPlan,
+  listMealPlans,
+  getMealPlan,
+  formatMealPlanForLine,
+} from "./lib/mealPlan.js";
+import {
+  getShoppingList,
+  buildFromMealPlan,
+  detectShoppingListRequest,
+  buildShoppingListFlex,
+} from "./lib/shoppingList.js";
+import {
+  LEVELS as SAFETY,
+  assessSafety,
+  buildCrisisReply,
+  CONCERN_PROMPT,
+  logSafetyEvent,
+} from "./lib/safety.js";
+import { routeIntent, buildStylePrompt } from "./lib/intent.js";
+import { complete as llmComplete, getProvider } from "./lib/llm/index.js";
+import { createConsoleLineClient } from "./lib/lineConsoleClient.js";
+import { processLineEvent, createEventReplier, isRedelivery } from "./lib/lineEvents.js";
+import {
+  recordFollow,
+  recordUnfollow,
+  canPushTo,
+  setOnboardingStep,
+  buildWelcomeMessages,
+  buildOnboardingTips,
+} from "./lib/lineFollow.js";
+import { createPostbackDispatcher } from "./lib/postback.js";
+import {
+  getProfile,
+  extractProfileFacts,
+  createProfileProposal,
+  resolveProfileProposal,
+  buildProposalMessage,
+} from "./lib/profile.js";
+import { describeFamily } from "./lib/family.js";
+import {
+  OPTIONS_FORMAT_PROMPT,
+  buildReplyOptions,
+  optionQuickReplyItems,
+  buildOptionsCarousel,
+} from "./lib/replyOptions.js";
+import { transcribeLineAudio, buildVoiceErrorReply, createVoiceReply, getVoiceReply } from "./lib/voice.js";
+import { getSpeechProvider } from "./lib/speech/index.js";
+import { settingsFromData, getSettings, updateSettings } from "./lib/userSettings.js";
+import { buildAvoidList, isFoodRelated, guardGenerated, buildConflictNotice } from "./lib/allergenGuard.js";
+import { runExpiryReminders, startExpiryReminderJob } from "./lib/expiry.js";
+import { runCheckins, startCheckinJob } from "./lib/checkin.js";
+import {
+  applyCooked,
+  undoCooked,
+  detectCookedReport,
+  resolveCookedDish,
+  findChatRecipeMessage,
+  saveChatRecipe,
+  buildCookedQuickReply,
+  buildCookedConfirmMessage,
+  buildCookedReply,
+} from "./lib/pantry.js";
+import {
+  enqueueReply,
+  completeJob,
+  failJob,
+  startReplyWorker,
+} from "./lib/replyQueue.js";
+import {
+  PAYMENT_ISSUE_STATUSES,
+  hasPaymentIssue,
+  markPaymentIssue,
+  clearPaymentIssue,
+  buildDunningMessage,
+} from "./lib/dunning.js";
+import {
+  processStripeEvent,
+  replayStripeEvent,
+  startStripeEventRetrier,
+} from "./lib/stripeEvents.js";
+import {
+  getPlanCatalog,
+  getPlan,
+  planKeyFromPriceId,
+  toPublicPlan,
+  buildCheckoutParams,
+  resolvePromoCode,
+} from "./lib/plans.js";
+import {
+  TIERS,
+  FEATURES,
+  isPremiumFromData,
+  computeEntitlement,
+  getEntitlement,
+  updateEntitlement,
+  syncMembership,
+  reconcileEntitlements,
+  startEntitlementReconciler,
+} from "./lib/entitlements.js";
+import {
+  reserveQuota,
+  checkQuota,
+  refundQuota,
+  getUsageSummary,
+  grantBonus,
+  buildLimitReply,
+  buildRemainingNotice,
+  formatUsageSummary,
+} from "./lib/quota.js";
+import {
+  verifyLineIdToken,
+  issueSession,
+  resolveRequestUser,
+  requireUser,
+  isN8nRequest,
+} from "./lib/auth.js";
 
 dotenv.config();
 
 /* ======================== 初期化 ======================== */
-if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+// FIRESTORE_EMULATOR_HOST があれば Firestore エミュレータにつなぐ（鍵不要。ローカル確認用）
+const useFirestoreEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+if (!useFirestoreEmulator && !process.env.FIREBASE_SERVICE_ACCOUNT) {
   console.error("❌ FIREBASE_SERVICE_ACCOUNT is not set (base64 JSON)");
   process.exit(1); // 強制終了
 }
-const serviceAccount = JSON.parse(
-  Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, "base64").toString("utf8")
-);
 if (!admin.apps.length) {
-  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  if (useFirestoreEmulator) {
+    admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || "demo-oshaberiaiko" });
+    console.log(`🧪 Firestore emulator: ${process.env.FIRESTORE_EMULATOR_HOST}`);
+  } else {
+    const serviceAccount = JSON.parse(
+      Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, "base64").toString("utf8")
+    );
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  }
 }
 const db = admin.firestore();
 
+// LLM・音声の設定漏れは起動時に止める（実際のユーザーに fake の返事や文字起こしを使わない）
+try {
+  getProvider();
+  getSpeechProvider();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const port = process.env.PORT || 10000;
 
@@ -32,20 +174,46 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2023-10-16",
 });
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 const lineConfig = {
   channelSecret: process.env.LINE_CHANNEL_SECRET,
   channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
 };
-const lineClient = new line.Client({
-  channelAccessToken: lineConfig.channelAccessToken,
-});
+const lineClient =
+  process.env.LINE_CLIENT === "console"
+    ? createConsoleLineClient()
+    : new line.Client({
+        channelAccessToken: lineConfig.channelAccessToken,
+      });
+// 再送イベント・replyToken 失効時は push に切り替えて返信する
+const replyToEvent = createEventReplier(lineClient);
+
+// ブロック（unfollow）中のユーザーには push しない
+async function pushToUser(userId, messages) {
+  if (!(await canPushTo(userId))) {
+    console.log(`ℹ️ push skipped (unfollowed): user=${userId}`);
+    return false;
+  }
+  await lineClient.pushMessage(userId, messages);
+  return true;
+}
 
 /* ======================== 共通ユーティリティ ======================== */
 const tsFromSec = (sec) =>
   sec ? admin.firestore.Timestamp.fromDate(new Date(sec * 1000)) : null;
 
+// サブスクリプションからプラン・無料体験の情報を users 用に取り出す
+async function planFieldsFromSub(sub) {
+  if (!sub) return {};
+  const priceId = sub.items?.data?.[0]?.price?.id || null;
+  const plan = sub.metadata?.planKey || (await planKeyFromPriceId(priceId));
+  return {
+    ...(plan ? { plan } : {}),
+    ...(priceId ? { stripePriceId: priceId } : {}),
+    trialEnd: tsFromSec(sub.trial_end),
+    ...(sub.trial_end ? { trialUsed: true } : {}),
+  };
+}
+
 async function resolveUserIdFromCustomerId(customerId) {
   if (!customerId) return null;
   const snap = await db
@@ -86,35 +254,23 @@ async function resolveUserIdFromInvoice(inv) {
   return await resolveUserIdFromCustomerId(customerId);
 }
 
-// JST の「本日」（無料回数カウント用キー）
-function jstTodayKey() {
-  const now = new Date();
-  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
-  const y = jst.getUTCFullYear();
-  const m = String(jst.getUTCMonth() + 1).padStart(2, "0");
-  const d = String(jst.getUTCDate()).padStart(2, "0");
-  return `${y}${m}${d}`;
-}
-// Premium 判定
-function isPremiumFromData(data) {
-  if (!data) return false;
-  const p = !!data.premium;
-  const until = data.premiumUntil?.toDate ? data.premiumUntil.toDate() : null;
-  if (!p) return false;
-  if (!until) return true;
-  return until.getTime() > Date.now();
-}
+// プレミアム限定機能を無料会員が使おうとした時の案内
+const PREMIUM_ONLY_REPLY =
+  "その機能はプレミアム会員限定なんだ✨ 冷蔵庫の中身に合わせた献立や、買い物リストの自動作成ができるよ！もっと便利に使いたい場合は、プレミアムプランを検討してみてね💎";
+
 /* ======================== n8n認証ミドルウェア ======================== */
 const authenticateN8n = (req, res, next) => {
-  // 食材APIとプロフィールAPIへのアクセスは認証スキップ
-  if (req.path.includes('/ingredients') || req.path.includes('/profile')) {
-    console.log('⚠️ Ingredients/Profile API access - skipping auth');
+  // 食材・プロフィール・買い物リストAPIはマイページからも使うので、
+  // ルーター側（requireUserOrN8n）で LIFF セッションか n8n かを確認する
+  if (
+    req.path.includes('/ingredients') ||
+    req.path.includes('/profile') ||
+    req.path.includes('/shopping-list')
+  ) {
     return next();
   }
-  
-  const token = req.headers["x-n8n-token"];
-  
-  if (!token || token !== process.env.N8N_SHARED_SECRET) {
+
+  if (!isN8nRequest(req)) {
     console.warn("🚫 Unauthorized n8n access attempt");
     return res.status(403).json({ error: "forbidden" });
   }
@@ -135,48 +291,102 @@ async function linkRichMenuIdToUser(userId, richMenuId) {
 }
 
 /* ======================== 会話コア ======================== */
-async function chatWithAiko({ userId, text }) {
+async function saveConversationTurn(userId, text, reply, meta = {}) {
+  try {
+    const messagesRef = db
+      .collection("conversations")
+      .doc(String(userId))
+      .collection("messages");
+
+    // ユーザーのメッセージを保存
+    await messagesRef.add({
+      role: "user",
+      content: text,
+      ...meta,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // AIの返信を保存
+    await messagesRef.add({
+      role: "assistant",
+      content: reply,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    console.log(`💾 会話履歴保存: userId=${userId}`);
+  } catch (saveError) {
+    console.error("❌ 会話履歴保存エラー:", saveError);
+    // エラーが出ても会話は続行
+  }
+}
+
+/**
+ * @param {{ userId: string, text: string, source?: "voice" }} opts source は音声入力の時だけ
+ */
+async function chatWithAiko({ userId, text, source }) {
   const userSnap = await db.collection("users").doc(String(userId)).get();
   const userData = userSnap.exists ? userSnap.data() : {};
   const premium = isPremiumFromData(userData);
+  const turnMeta = source ? { source } : {};
+  const { voiceReply } = settingsFromData(userData);
 
-  const dayKey = jstTodayKey();
-  const usageRef = db.collection("usage_daily").doc(`${userId}_${dayKey}`);
-  const LIMIT = 3; // 無料上限
-
-  // 回数制限チェック
-  if (!premium) {
-    const usageSnap = await usageRef.get();
-    const used = usageSnap.exists ? usageSnap.data().count || 0 : 0;
-    if (used >= LIMIT) {
-      return {
-        reply:
-          "今日はもう3回おしゃべりしたから終了だよ🥲 また明日ね！\nもっと話したい人向けに「プレミアム」もあるよ✨",
-        premium: false,
-        limited: true,
-      };
-    }
+  // 安全判定は回数制限より先に（crisis は制限中でも必ず固定文で返す）
+  const safety = assessSafety(text);
+  if (safety.level !== SAFETY.NONE) {
+    await logSafetyEvent({ userId, assessment: safety, text });
+  }
+  if (safety.level === SAFETY.CRISIS) {
+    const reply = buildCrisisReply();
+    await saveConversationTurn(userId, text, reply, { intent: "safety_crisis", ...turnMeta });
+    return { reply, premium, limited: false, safety: safety.level };
+  }
+  const safetyTriggered = safety.level === SAFETY.CONCERN;
+
+  // 回数制限：LLM を呼ぶ前にトランザクションで1回分を確保（プレミアムもフェアユース上限あり）
+  // 同時に何通送られても上限を超えない。失敗したら返却するので、失敗した回は数えない
+  const plan = premium ? "premium" : "free";
+  const { ok, quota, reservation } = await reserveQuota(userId, "chat", { plan });
+  if (!ok) {
+    return {
+      reply: buildLimitReply(quota, { plan }),
+      premium,
+      limited: true,
+      safety: safety.level,
+      remaining: 0,
+    };
   }
 
-  // 危険語検出：正規化して取りこぼしを減らす
-  const norm = (s) => (s || "").toString().normalize("NFKC").toLowerCase();
-  const dangerWords = [
-    "死にたい",
-    "消えたい",
-    "自殺",
-    "傷つける",
-    "虐待",
-    "危ない",
-    "首を",
-    "窒息",
-    "飛び降り",
-    "殺す",
-    "自傷",
-  ].map((w) => norm(w));
-  const safetyTriggered = dangerWords.some((w) => norm(text).includes(w));
+  // 直近の会話＋古い会話の要約（取得失敗時は単発の会話として続行）
+  let history = { summary: null, messages: [] };
+  try {
+    history = await loadConversationContext(userId);
+  } catch (e) {
+    console.error("❌ 会話履歴読み込みエラー:", e);
+  }
 
+  // 子どもの年齢は生年月日から毎回計算（「生後8ヶ月」「3歳」）して、声かけや助言を合わせる
+  let profile = {};
+  try {
+    profile = await getProfile(userId);
+  } catch (e) {
+    console.error("❌ プロフィール読み込みエラー:", e);
+  }
+  const familyLine = describeFamily(profile.family);
+  // アレルギー・苦手な食材は先に伝えておく（出てしまった時は返事のあとで確かめる）
+  const avoidList = buildAvoidList(profile);
+  const avoidLine = [
+    ...new Set(avoidList.map((a) => `${a.allergen || a.term}（${a.kind === "allergy" ? "アレルギー" : "苦手"}）`)),
+  ].join("、");
+
+  // 意図に合わせたテンプレを返し方の参考にする
+  const route = routeIntent(text, { safetyConcern: safetyTriggered });
+  const stylePrompt = buildStylePrompt(route);
+
+  // オープナーは会話の始まりだけ
   const opener =
-    aikoTemplates?.openers?.length && !safetyTriggered
+    aikoTemplates?.openers?.length &&
+    !safetyTriggered &&
+    history.messages.length === 0
       ? aikoTemplates.openers[
           Math.floor(Math.random() * aikoTemplates.openers.length)
         ]
@@ -186,7 +396,7 @@ async function chatWithAiko({ userId, text }) {
   const limitedSystemPrompt = premium ? aikoSystem : `${aikoSystem}
 
 【重要な制限事項】
-このユーザーは無料プラン（1日3回まで）です。以下の機能は使えません：
+このユーザーは無料プラン（1日${quota.limit}回まで）です。以下の機能は使えません：
 - 冷蔵庫スキャン機能
 - 詳細な買い物リスト作成（具体的な数量や店舗情報を含むもの）
 - プロフィールに基づいた個別カスタマイズ提案
@@ -198,67 +408,323 @@ async function chatWithAiko({ userId, text }) {
 
   const messages = [
     { role: "system", content: limitedSystemPrompt },
+    ...(safetyTriggered ? [{ role: "system", content: CONCERN_PROMPT }] : []),
+    ...(stylePrompt ? [{ role: "system", content: stylePrompt }] : []),
+    ...(safetyTriggered ? [] : [{ role: "system", content: OPTIONS_FORMAT_PROMPT }]),
+    ...(history.summary
+      ? [
+          {
+            role: "system",
+            content: `【これまでの会話の要約】\n${history.summary}`,
+          },
+        ]
+      : []),
+    ...(familyLine
+      ? [
+          {
+            role: "system",
+            content: `【家族（年齢は今日時点）】\n${familyLine}\n子どもの話題では、この年齢・月齢に合った声かけや目安で答えてください。`,
+          },
+        ]
+      : []),
+    ...(avoidLine
+      ? [
+          {
+            role: "system",
+            content: `【この家庭で使えない食材】${avoidLine}\n食べ物やレシピの話では、これらと、それを含む料理は出さないでください。`,
+          },
+        ]
+      : []),
+    ...history.messages,
     ...(opener ? [{ role: "assistant", content: opener }] : []),
     { role: "user", content: text },
   ];
 
+  // プロフィールに残せそうな話（アレルギー・家族構成など）を返信と並行して探す
+  const profileFacts = safetyTriggered
+    ? Promise.resolve([])
+    : extractProfileFacts(userId, text, { plan }).catch((e) => {
+        console.error("❌ プロフィール抽出エラー:", e.message);
+        return [];
+      });
+
   // OpenAI失敗時はフォールバックを返し、回数はカウントしない
   let reply =
     "いま少し混み合っているみたい…もう一度だけ試してくれる？🙏";
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
+    const completion = await llmComplete({
+      task: safetyTriggered ? "chat_concern" : "chat",
+      plan,
       messages,
-      max_tokens: premium ? 400 : 220,
-      temperature: safetyTriggered ? 0.2 : 0.8,
     });
-    reply = completion.choices?.[0]?.message?.content?.trim() || "……";
+    reply = completion.text || "……";
+
+    // 食べ物の話でアレルギー・苦手な食材を出していたら1回だけ作り直し、だめなら注意書きを添える
+    if (!safetyTriggered && (route.intent === "menu_question" || isFoodRelated(reply))) {
+      const guarded = await guardGenerated({
+        userId,
+        source: "chat",
+        avoidList,
+        first: reply,
+        toText: (t) => t,
+        regenerate: async (avoidPrompt) => {
+          const retry = await llmComplete({
+            task: "chat",
+            plan,
+            messages: [...messages.slice(0, -1), { role: "system", content: avoidPrompt }, messages[messages.length - 1]],
+          });
+          return retry.text || reply;
+        },
+      });
+      reply = guarded.conflicts.length
+        ? `${guarded.result}\n\n${buildConflictNotice(guarded.conflicts)}`
+        : guarded.result;
+    }
   } catch (e) {
     console.error("OpenAI error:", e);
-    return { reply, premium, limited: false };
+    await refundQuota(reservation);
+    return {
+      reply,
+      premium,
+      limited: false,
+      safety: safety.level,
+      error: "llm_unavailable",
+    };
   }
 
-  // 回数カウント
-  if (!premium) {
-    await usageRef.set(
-      {
-        count: admin.firestore.FieldValue.increment(1),
-        userId,
-        dayKey,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
-  }
+  const { remaining } = quota;
 
   // 🆕 会話履歴を保存
+  await saveConversationTurn(userId, text, reply, {
+    intent: route.intent,
+    template: route.template,
+    ...turnMeta,
+  });
+
+  // 古い会話が溜まったら要約を更新（返信は待たせない）
+  refreshSummaryIfNeeded(userId).catch((e) =>
+    console.error("❌ 会話要約エラー:", e)
+  );
+
+  // 「A）〜、B）〜」の選択肢はボタンにする（見守りモードでは出さない）
+  const options = safetyTriggered ? null : buildReplyOptions(reply, { intent: route.intent });
+
+  // 残りが少なくなったら返信の最後にひとこと添える（履歴には残さない）
+  const notice = await buildRemainingNotice(quota, { plan });
+
+  // 見つかったら保存してよいか確認する（保存は postback で「保存する」を押した時）
+  let profileProposal = null;
+  const facts = await profileFacts;
+  if (facts.length) {
+    const proposalId = await createProfileProposal(userId, facts, { sourceText: text });
+    profileProposal = { id: proposalId, facts, message: buildProposalMessage(proposalId, facts) };
+  }
+
+  return {
+    reply: notice ? `${reply}\n\n${notice}` : reply,
+    premium,
+    limited: false,
+    safety: safety.level,
+    intent: route.intent,
+    remaining,
+    options,
+    profileProposal,
+    voiceReply: source === "voice" && voiceReply,
+  };
+}
+
+/* ======================== 返信の期限管理 ======================== */
+// replyToken は受信から約1分で失効するので、余裕をみてこの時間で打ち切る
+const REPLY_DEADLINE_MS = Number(process.env.LINE_REPLY_DEADLINE_MS) || 25000;
+const HOLD_REPLY = "ちょっと考えこんじゃってる…🙏 まとまったらすぐ送るね！";
+const DEADLINE = Symbol("deadline");
+
+// chatWithAiko の結果 → LINE のメッセージ（プロフィール保存の確認があれば最後に）
+// クイックリプライは最後の1通にしか出ないので、選択肢のボタンは最後のメッセージにまとめる
+function chatReplyMessages(result) {
+  const { options, profileProposal } = result;
+  const messages = [{ type: "text", text: result.reply }];
+  if (options?.style === "carousel") messages.push(buildOptionsCarousel(options));
+  if (profileProposal) messages.push(profileProposal.message);
+
+  const optionItems = options?.style === "quick_reply" ? optionQuickReplyItems(options) : [];
+  if (optionItems.length) {
+    const last = messages[messages.length - 1];
+    messages[messages.length - 1] = {
+      ...last,
+      quickReply: { items: [...optionItems, ...(last.quickReply?.items || [])] },
+    };
+  }
+  return messages;
+}
+
+// 音声で話しかけられて、声の返事を希望している時は読み上げた音声を先頭に付ける
+// （クイックリプライは最後のメッセージに付いているので、順番は崩さない）
+async function chatDeliveryMessages(userId, result) {
+  const messages = chatReplyMessages(result);
+  if (!result.voiceReply || result.limited) return messages;
   try {
-    const messagesRef = db
-      .collection("conversations")
-      .doc(String(userId))
-      .collection("messages");
+    const audio = await createVoiceReply({ userId, text: result.reply, baseUrl: publicOrigin() });
+    if (audio && messages.length < 5) messages.unshift(audio);
+  } catch (e) {
+    console.error("❌ 読み上げエラー:", e.message);
+  }
+  return messages;
+}
 
-    // ユーザーのメッセージを保存
-    await messagesRef.add({
-      role: "user",
-      content: text,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-    });
+// 期限内に答えが出なければ「待っててね」を返し、答えは push で届ける
+async function replyChatWithDeadline(event, { userId, text, source }) {
+  const payload = source ? { source } : {};
+  // 再送イベントは replyToken が使えないので、答えが出るまで待って push する
+  if (isRedelivery(event)) {
+    const result = await chatWithAiko({ userId, text, source });
+    if (result.error === "llm_unavailable") {
+      await enqueueReply({ userId, text, reason: "llm_unavailable", payload });
+      return;
+    }
+    await replyToEvent(event, await chatDeliveryMessages(userId, result));
+    return;
+  }
 
-    // AIの返信を保存
-    await messagesRef.add({
-      role: "assistant",
-      content: reply,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  const startedAt = event.timestamp || Date.now();
+  const remaining = Math.max(0, REPLY_DEADLINE_MS - (Date.now() - startedAt));
+
+  const pending = chatWithAiko({ userId, text, source });
+  let timer;
+  const first = await Promise.race([
+    pending,
+    new Promise((resolve) => {
+      timer = setTimeout(() => resolve(DEADLINE), remaining);
+    }),
+  ]);
+  clearTimeout(timer);
+
+  if (first !== DEADLINE) {
+    if (first.error === "llm_unavailable") {
+      // 上流が不調：キューに積んで、回復したら push
+      await enqueueReply({ userId, text, reason: "llm_unavailable", payload });
+      await replyToEvent(event, { type: "text", text: HOLD_REPLY });
+      return;
+    }
+    await replyToEvent(event, await chatDeliveryMessages(userId, first));
+    return;
+  }
+
+  // 間に合わない：ジョブとして記録（落ちても再起動後に拾える）
+  const jobId = await enqueueReply({
+    userId,
+    text,
+    reason: "reply_deadline",
+    status: "processing",
+    payload,
+  });
+  await replyToEvent(event, { type: "text", text: HOLD_REPLY });
+
+  pending
+    .then(async (result) => {
+      if (result.error) throw new Error(result.error);
+      // ブロック中なら送らずに完了にする（キューのワーカーと同じ扱い）
+      await pushToUser(userId, await chatDeliveryMessages(userId, result));
+      await completeJob(jobId);
+    })
+    .catch(async (e) => {
+      console.error("❌ 遅延返信エラー:", e.message);
+      await failJob(jobId, e).catch(() => {});
     });
+}
 
-    console.log(`💾 会話履歴保存: userId=${userId}`);
-  } catch (saveError) {
-    console.error("❌ 会話履歴保存エラー:", saveError);
-    // エラーが出ても会話は続行
+// キューのジョブを処理（ワーカーから呼ばれる）
+async function deliverQueuedReply(job) {
+  const result = await chatWithAiko({
+    userId: job.userId,
+    text: job.text,
+    source: job.payload?.source,
+  });
+  if (result.error) throw new Error(result.error);
+  await pushToUser(job.userId, await chatDeliveryMessages(job.userId, result));
+}
+
+async function notifyQueuedReplyGaveUp(job) {
+  await pushToUser(job.userId, {
+    type: "text",
+    text: "ごめんね、さっきのメッセージにうまく返事できなかった…もう一度送ってくれる？🙏",
+  });
+}
+
+/* ======================== 冷蔵庫スキャン ======================== */
+async function handleFridgeImage({ userId, messageId }) {
+  const { features, tier } = await getEntitlement(userId);
+  if (!features.fridgeScan) return PREMIUM_ONLY_REPLY;
+
+  const { ok, quota, reservation } = await reserveQuota(userId, "fridgeScan", { plan: tier });
+  if (!ok) return buildLimitReply(quota, { plan: tier });
+
+  try {
+    const image = await downloadLineContent(lineClient, messageId);
+    const detected = await detectIngredients(image);
+    if (detected.length) await mergeIngredients(userId, detected);
+    console.log(`📸 冷蔵庫スキャン: userId=${userId}, ${detected.length}件`);
+    return formatScanReply(detected);
+  } catch (e) {
+    console.error("❌ 冷蔵庫スキャンエラー:", e);
+    await refundQuota(reservation);
+    return "ごめんね、写真の読み取りがうまくいかなかったみたい…もう一度送ってくれる？🙏";
+  }
+}
+
+/* ======================== 買い物リスト ======================== */
+function publicOrigin() {
+  return process.env.PUBLIC_ORIGIN || "https://www.oshaberiaiko.com";
+}
+
+function mypageUrl() {
+  const liffId = process.env.LIFF_ID_MYPAGE;
+  if (liffId) return `https://liff.line.me/${liffId}`;
+  return `${publicOrigin()}/mypage-link.html`;
+}
+
+async function buildShoppingListMessage({ userId, mode }) {
+  let list = await getShoppingList(userId);
+  if (mode === "build" || !list.items.length) {
+    const built = await buildFromMealPlan(userId);
+    if (built) list = built;
+    else if (!list.items.length) {
+      return {
+        type: "text",
+        text: "まだ献立がないみたい。「献立教えて」って送ってくれたら、それに合わせて買い物リストを作るね🛒",
+      };
+    }
+  }
+  return buildShoppingListFlex(list.items, { mypageUrl: mypageUrl() });
+}
+
+/* ======================== 支払い失敗（督促） ======================== */
+// 請求ポータルは本人確認が要るので、LIFF のマイページ（ログイン → 「請求に関して」）へ案内する
+function billingPortalUrl() {
+  return mypageUrl();
+}
+
+// 支払い問題を記録し、必要なら LINE で督促
+async function recordPaymentIssue(userId, status, opts = {}) {
+  const { shouldNotify, graceUntil } = await markPaymentIssue(userId, status, opts);
+  console.log(`⚠️ payment issue: user=${userId}, status=${status}, notify=${shouldNotify}`);
+  if (!shouldNotify) return;
+  try {
+    await pushToUser(
+      userId,
+      buildDunningMessage({ portalUrl: billingPortalUrl(), graceUntil })
+    );
+  } catch (e) {
+    console.error("❌ 督促push失敗:", e?.response?.data || e.message || e);
   }
+}
 
-  return { reply, premium, limited: false };
+// 突き合わせで権限が変わった時にリッチメニューも合わせる
+async function syncRichMenuForEntitlement(userId, premium) {
+  await linkRichMenuIdToUser(
+    userId,
+    premium ? process.env.RICHMENU_ID_PREMIUM || "" : process.env.RICHMENU_ID_REGULAR || ""
+  );
 }
 
 /* ======================== Stripeイベント処理 ======================== */
@@ -270,25 +736,50 @@ async function handleStripeEvent(event) {
       const willCancel = !!sub.cancel_at_period_end || !!sub.cancel_at;
       const cancelAtSec = sub.cancel_at || sub.current_period_end || null;
       if (userId) {
-        await db.collection("users").doc(userId).set(
+        // past_due / unpaid / incomplete は猶予期間つきで記録、active に戻ったら解除
+        const paymentIssue = PAYMENT_ISSUE_STATUSES.includes(sub.status);
+        if (paymentIssue) {
+          await recordPaymentIssue(userId, sub.status);
+        } else if (["active", "trialing"].includes(sub.status)) {
+          await clearPaymentIssue(userId);
+        }
+
+        await updateEntitlement(
+          userId,
           {
             cancelPending: willCancel || null,
             cancelAt: tsFromSec(cancelAtSec),
             ...(sub.current_period_end
               ? { premiumUntil: tsFromSec(sub.current_period_end) }
               : {}),
+            ...(await planFieldsFromSub(sub)),
           },
-          { merge: true }
+          { source: "stripe" }
         );
+
         await linkRichMenuIdToUser(
           userId,
-          willCancel
+          willCancel || sub.status === "unpaid"
             ? process.env.RICHMENU_ID_REGULAR || ""
             : process.env.RICHMENU_ID_PREMIUM || ""
         );
       }
       break;
     }
+    case "invoice.payment_failed": {
+      const inv = event.data.object;
+      const userId = await resolveUserIdFromInvoice(inv);
+      if (userId) {
+        await recordPaymentIssue(userId, "past_due", {
+          failedAt: tsFromSec(inv.created) || admin.firestore.Timestamp.now(),
+        });
+        await syncMembership(userId, { source: "stripe" });
+        console.log(
+          `✅ invoice.payment_failed processed for user=${userId} (attempt=${inv.attempt_count || "-"})`
+        );
+      }
+      break;
+    }
     case "checkout.session.completed": {
   const session = event.data.object;
   const userId = session.metadata?.userId;
@@ -303,6 +794,7 @@ async function handleStripeEvent(event) {
         : session.subscription?.id || null;
 
     let premiumUntilTs = null;
+    let planFields = session.metadata?.planKey ? { plan: session.metadata.planKey } : {};
     try {
       if (session.mode === "subscription" && session.subscription) {
         const sub =
@@ -311,37 +803,28 @@ async function handleStripeEvent(event) {
             : session.subscription;
         if (sub?.current_period_end)
           premiumUntilTs = tsFromSec(sub.current_period_end);
+        planFields = { ...planFields, ...(await planFieldsFromSub(sub)) };
       }
     } catch (e) {
       console.warn("⚠️ subscription取得失敗:", e.message);
     }
 
-    await db.collection("users").doc(userId).set(
+    // users と n8n 用の membership をまとめて更新
+    await updateEntitlement(
+      userId,
       {
         premium: true,
         premiumSince: admin.firestore.FieldValue.serverTimestamp(),
         ...(premiumUntilTs ? { premiumUntil: premiumUntilTs } : {}),
         ...(customerId ? { stripeCustomerId: customerId } : {}),
         ...(subscriptionId ? { lastSubscriptionId: subscriptionId } : {}),
+        ...planFields,
         cancelPending: null,
         cancelAt: null,
       },
-      { merge: true }
+      { source: "stripe" }
     );
 
-    // 🆕 n8n用のmembershipも更新
-    await db
-      .collection("conversations")
-      .doc(userId)
-      .collection("membership")
-      .doc("info")
-      .set({
-        tier: "premium",
-        updated_at: admin.firestore.FieldValue.serverTimestamp(),
-        created_at: admin.firestore.FieldValue.serverTimestamp()
-      }, { merge: true });
-
-    console.log(`✅ n8n membership updated for user=${userId}`);
     console.log(`✅ checkout.session.completed processed for user=${userId}`);
 
     await linkRichMenuIdToUser(
@@ -363,9 +846,11 @@ async function handleStripeEvent(event) {
         subLine?.period?.end || inv?.period_end || null;
 
       if (userId && periodEndSec) {
-        await db.collection("users").doc(userId).set(
+        await clearPaymentIssue(userId);
+        await updateEntitlement(
+          userId,
           { premium: true, premiumUntil: tsFromSec(periodEndSec) },
-          { merge: true }
+          { source: "stripe" }
         );
         console.log(`✅ invoice.payment_succeeded processed for user=${userId}`);
 
@@ -376,18 +861,49 @@ async function handleStripeEvent(event) {
       }
       break;
     }
+    case "customer.subscription.trial_will_end": {
+      const sub = event.data.object;
+      const userId = await resolveUserIdFromSub(sub);
+      if (userId && sub.trial_end) {
+        await db.collection("users").doc(userId).set(
+          { trialEnd: tsFromSec(sub.trial_end), trialReminderSentAt: admin.firestore.FieldValue.serverTimestamp() },
+          { merge: true }
+        );
+        const endText = new Intl.DateTimeFormat("ja-JP", {
+          timeZone: "Asia/Tokyo",
+          month: "numeric",
+          day: "numeric",
+        }).format(new Date(sub.trial_end * 1000));
+        try {
+          await pushToUser(userId, {
+            type: "text",
+            text:
+              `プレミアムの無料体験は ${endText} までだよ🌼\n` +
+              "そのまま続けると自動で有料プランに切り替わるよ。やめたい時はマイページの「請求に関して」から解約できるからね。",
+          });
+        } catch (e) {
+          console.error("❌ trial reminder push失敗:", e?.response?.data || e.message || e);
+        }
+        console.log(`✅ trial_will_end processed for user=${userId}`);
+      }
+      break;
+    }
     case "customer.subscription.deleted": {
       const sub = event.data.object;
       const userId = await resolveUserIdFromSub(sub);
       if (userId) {
-        await db.collection("users").doc(userId).set(
+        // membership も free に戻す（以前は users だけ落ちて n8n 側が premium のままだった）
+        await updateEntitlement(
+          userId,
           {
             premium: false,
             premiumUntil: null,
             cancelPending: null,
             cancelAt: null,
+            paymentStatus: null,
+            graceUntil: null,
           },
-          { merge: true }
+          { source: "stripe" }
         );
         console.log(`✅ subscription.deleted processed for user=${userId}`);
 
@@ -408,181 +924,309 @@ async function handleStripeEvent(event) {
    🚨 重要：Stripe Webhook は express.json() よりも前に定義
    =========================================================== */
 
-// 本番/ダッシュボードのWebhook（先にロック→処理→完了の順）
-app.post(
-  "/webhook",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
+// 本番/ダッシュボード用とStripe CLI用で共通の受信処理（署名検証→パイプラインで処理）
+function stripeWebhookHandler({ path, secretEnv, source }) {
+  return async (req, res) => {
     const sig = req.headers["stripe-signature"];
-    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const secret = process.env[secretEnv];
 
-    console.log("[WB] path=/webhook");
+    console.log(`[WB] path=${path}`);
     console.log("[WB] sig header exists:", !!sig);
     console.log("[WB] isBuffer:", Buffer.isBuffer(req.body), "len:", req.body?.length);
-    console.log("[WB] content-type:", req.headers["content-type"]);
 
     if (!sig) {
-      console.warn("🚫 Non-Stripe access to /webhook");
+      console.warn(`🚫 Non-Stripe access to ${path}`);
       return res.status(403).send("forbidden");
     }
 
+    let event;
     try {
-      const event = stripe.webhooks.constructEvent(req.body, sig, secret);
-      res.status(200).send("ok");
-
-      const seenRef = db.collection("stripe_events").doc(event.id);
-      const seen = await seenRef.get();
-      if (seen.exists && (seen.data()?.processedAt || seen.data()?.lockedAt)) return;
-
-      // 先にロックを書き込む
-      await seenRef.set(
-        { lockedAt: admin.firestore.FieldValue.serverTimestamp(), type: event.type },
-        { merge: true }
-      );
-
-      await handleStripeEvent(event);
+      event = stripe.webhooks.constructEvent(req.body, sig, secret);
+    } catch (err) {
+      console.error(`❌ ${path} 署名検証エラー:`, err.message);
+      return res.status(400).send("bad signature");
+    }
 
-      await seenRef.set(
-        { processedAt: admin.firestore.FieldValue.serverTimestamp() },
-        { merge: true }
-      );
+    console.log(`✅ Webhook受信 (${source}):`, event.type, event.id);
+    try {
+      const result = await processStripeEvent(event, handleStripeEvent, { source });
+      // 失敗時は 500 を返して Stripe 側の再送にも任せる（処理済みはパイプラインでスキップ）
+      if (result === "failed") return res.status(500).send("processing_failed");
+      return res.status(200).send("ok");
     } catch (err) {
-      console.error("❌ 本番Webhook署名エラー:", err.message);
-      if (!res.headersSent) res.status(400).send("bad signature");
+      console.error(`❌ ${path} 処理エラー:`, err);
+      return res.status(500).send("internal_error");
     }
-  }
+  };
+}
+
+// 本番/ダッシュボードのWebhook
+app.post(
+  "/webhook",
+  express.raw({ type: "application/json" }),
+  stripeWebhookHandler({
+    path: "/webhook",
+    secretEnv: "STRIPE_WEBHOOK_SECRET",
+    source: "webhook",
+  })
 );
 
-// Stripe CLI専用のWebhook（同様にロック→処理→完了）
+// Stripe CLI専用のWebhook
 app.post(
   "/webhook-cli",
   express.raw({ type: "application/json" }),
-  async (req, res) => {
-    const sig = req.headers["stripe-signature"];
-    const secret = process.env.STRIPE_CLI_WEBHOOK_SECRET;
-    if (!sig) {
-      console.warn("🚫 Non-Stripe access to /webhook-cli");
-      return res.status(403).send("forbidden");
-    }
-    try {
-      const event = stripe.webhooks.constructEvent(req.body, sig, secret);
-      res.status(200).send("ok");
-
-      const seenRef = db.collection("stripe_events").doc(event.id);
-      const seen = await seenRef.get();
-      if (seen.exists && (seen.data()?.processedAt || seen.data()?.lockedAt)) return;
-
-      await seenRef.set(
-        { lockedAt: admin.firestore.FieldValue.serverTimestamp(), type: event.type },
-        { merge: true }
-      );
+  stripeWebhookHandler({
+    path: "/webhook-cli",
+    secretEnv: "STRIPE_CLI_WEBHOOK_SECRET",
+    source: "cli",
+  })
+);
 
-      console.log("✅ CLI Webhook受信:", event.type);
-      await handleStripeEvent(event);
+/* ======================== LINE Webhook ======================== */
+/* ======================== 友だち追加・postback ======================== */
+async function handleFollow(event) {
+  const userId = event.source.userId;
+  const { isNew } = await recordFollow(userId);
+  // 再追加のプレミアム会員にはプレミアム用メニューを戻す
+  const { premium } = await getEntitlement(userId);
+  await syncRichMenuForEntitlement(userId, premium);
+  await replyToEvent(event, buildWelcomeMessages({ isNew }));
+}
 
-      await seenRef.set(
-        { processedAt: admin.firestore.FieldValue.serverTimestamp() },
-        { merge: true }
-      );
-    } catch (err) {
-      console.error("❌ CLI署名検証エラー:", err.message);
-      if (!res.headersSent) res.status(400).send("bad signature");
-    }
+const dispatchPostback = createPostbackDispatcher(
+  {
+    show_usage: async (event) => {
+      const userId = event.source.userId;
+      const { tier } = await getEntitlement(userId);
+      const summary = await getUsageSummary(userId, { plan: tier });
+      await replyToEvent(event, { type: "text", text: formatUsageSummary(summary) });
+    },
+    open_mypage: async (event) => {
+      await replyToEvent(event, {
+        type: "text",
+        text: `マイページはこちらだよ📱\n${mypageUrl()}`,
+      });
+    },
+    onboarding_tips: async (event) => {
+      await setOnboardingStep(event.source.userId, "tips");
+      await replyToEvent(event, buildOnboardingTips());
+    },
+    profile_confirm: async (event, { proposal }) => {
+      const result = await resolveProfileProposal(event.source.userId, proposal, { accept: true });
+      await replyToEvent(event, {
+        type: "text",
+        text: result.ok
+          ? "プロフィールに保存したよ📝 献立を考える時に気をつけるね！（マイページから確認・取り消しできるよ）"
+          : "ごめんね、この確認は期限が切れちゃったみたい。マイページから登録できるよ🙏",
+      });
+    },
+    profile_reject: async (event, { proposal }) => {
+      await resolveProfileProposal(event.source.userId, proposal, { accept: false });
+      await replyToEvent(event, { type: "text", text: "OK、今回は保存しないでおくね👌" });
+    },
+    cooked: async (event, { plan, day, dish, recipe }) => {
+      const result = await applyCooked({
+        userId: event.source.userId,
+        ...(recipe ? { recipeId: recipe } : { planId: plan, day, dish }),
+        source: "postback",
+      });
+      await replyToEvent(event, buildCookedReply(result));
+    },
+    cook_cancel: async (event) => {
+      await replyToEvent(event, { type: "text", text: "OK、冷蔵庫のリストはそのままにしておくね👌" });
+    },
+    cook_undo: async (event, { log }) => {
+      const result = await undoCooked(event.source.userId, log);
+      await replyToEvent(event, {
+        type: "text",
+        text: result.ok
+          ? "取り消して、冷蔵庫のリストを元に戻したよ↩️"
+          : "その記録はもう取り消してあるみたい👌",
+      });
+    },
+    onboarding_done: async (event) => {
+      await setOnboardingStep(event.source.userId, "done");
+      await replyToEvent(event, {
+        type: "text",
+        text: "うんうん、じゃあさっそく！今日はどんな一日だった？🌼",
+      });
+    },
+  },
+  {
+    onUnknown: async (event) => {
+      await replyToEvent(event, {
+        type: "text",
+        text: "ごめんね、そのボタンはいま使えないみたい…🙏",
+      });
+    },
   }
 );
 
-/* ======================== LINE Webhook ======================== */
-app.post("/line-webhook", line.middleware(lineConfig), async (req, res) => {
-  try {
-    const events = req.body.events || [];
-    await Promise.all(
-      events.map(async (event) => {
-        if (event.type === "message" && event.message?.type === "text") {
-          const userId = event.source?.userId;
-          const text = event.message.text || "";
-          if (!userId || !text) return;
-          const result = await chatWithAiko({ userId, text });
-          await lineClient.replyMessage(event.replyToken, {
-            type: "text",
-            text: result.reply,
-          });
-        }
-      })
-    );
-    res.status(200).end();
-  } catch (e) {
-    console.error("LINE webhook error:", e);
-    res.status(500).end();
+// 献立の出力が途中で切れるなどして使えなかった時（回数は戻す）
+const MEAL_PLAN_INCOMPLETE_REPLY =
+  "ごめんね、献立をうまくまとめきれなかった…🙏 少し時間をおくか、「3日分の献立教えて」みたいに短めの期間でもう一度お願いしてくれる？";
+
+// 献立のテキスト＋料理ごとの「作った」ボタン
+function mealPlanMessage(plan) {
+  const quickReply = buildCookedQuickReply(plan);
+  return { type: "text", text: formatMealPlanForLine(plan), ...(quickReply ? { quickReply } : {}) };
+}
+
+// 1イベント分の処理（重複チェックは processLineEvent 側）
+async function handleLineEvent(event) {
+  const userId = event.source?.userId;
+  if (!userId) return;
+
+  switch (event.type) {
+    case "follow":
+      return handleFollow(event);
+    case "unfollow":
+      return recordUnfollow(userId);
+    case "postback":
+      return dispatchPostback(event);
+    case "message":
+      break;
+    default:
+      return;
   }
-});
 
-/* ============ LIFF: IDトークン検証 & Checkout 作成/解決 ============ */
-const LINE_ISSUER = "https://access.line.me";
-const LINE_JWKS = createRemoteJWKSet(
-  new URL("https://api.line.me/oauth2/v2.1/certs")
-);
+  if (event.message?.type === "text") {
+    const text = event.message.text || "";
+    if (!text) return;
 
-async function verifyLineIdToken(idToken) {
-  try {
-    const channelId = process.env.LINE_LOGIN_CHANNEL_ID;
-    if (!channelId) {
-      throw new Error("LINE_LOGIN_CHANNEL_ID not configured");
+    const { features, tier } = await getEntitlement(userId);
+
+    // 「買い物リスト」→ Flex で返す（プレミアム限定）
+    const shoppingMode = detectShoppingListRequest(text);
+    if (shoppingMode) {
+      await replyToEvent(
+        event,
+        features.shoppingList
+          ? await buildShoppingListMessage({ userId, mode: shoppingMode })
+          : { type: "text", text: PREMIUM_ONLY_REPLY }
+      );
+      return;
     }
 
-    console.log("🔍 Verifying ID token");
-    console.log("   - Expected Channel ID:", channelId);
+    // スキャン直後の「〇〇じゃなくて△△」は食材リストの修正として扱う
+    if (features.fridgeScan) {
+      const fixed = await applyScanCorrection(userId, text);
+      if (fixed?.candidates) {
+        await replyToEvent(event, buildCorrectionChoiceMessage(fixed));
+        return;
+      }
+      if (fixed) {
+        await replyToEvent(event, {
+          type: "text",
+          text: `OK！「${fixed.from}」を「${fixed.to}」に直しておいたよ✍️`,
+        });
+        return;
+      }
+    }
 
-    // デバッグ用：トークンのペイロードを先に確認
-    try {
-      const parts = idToken.split(".");
-      if (parts.length === 3) {
-        const payload = JSON.parse(Buffer.from(parts[1], "base64").toString());
-        console.log("   - Token aud:", payload.aud);
-        console.log("   - Token iss:", payload.iss);
-        console.log("   - Token exp:", new Date(payload.exp * 1000).toISOString());
-        console.log("   - Current time:", new Date().toISOString());
-        
-        const nowSec = Math.floor(Date.now() / 1000);
-        const expSec = payload.exp;
-        const timeDiff = expSec - nowSec;
-        console.log("   - Time difference:", timeDiff, "seconds");
-        
-        // 事前チェック：audが一致しない場合は早期に詳細エラーを返す
-        if (payload.aud !== channelId) {
-          throw new Error(
-            `Channel ID mismatch: expected ${channelId}, got ${payload.aud}. ` +
-            `LIFFのチャネルIDとLINE_LOGIN_CHANNEL_IDを一致させてください。`
-          );
+    // 「〇〇作った！」だけの報告 → 最近の献立の料理なら、冷蔵庫のリストから減らすか確認する
+    // 献立に無くても、あいこが会話で話した料理なら材料を書き出して確認する（おしゃべり1回分）
+    // （「カレー作ったけど食べてくれない」のような文はそのまま会話へ）
+    if (features.mealPlan && detectCookedReport(text)) {
+      const candidates = await resolveCookedDish(userId, text);
+      if (candidates) {
+        await replyToEvent(event, buildCookedConfirmMessage(candidates));
+        return;
+      }
+      const recipeMessage = await findChatRecipeMessage(userId, text);
+      if (recipeMessage) {
+        const { ok, reservation } = await reserveQuota(userId, "chat", { plan: tier });
+        if (ok) {
+          let recipe = null;
+          try {
+            recipe = await saveChatRecipe(userId, recipeMessage, { plan: tier });
+          } catch (e) {
+            console.error("❌ 会話レシピの材料書き出しエラー:", e);
+          }
+          if (recipe) {
+            await replyToEvent(event, buildCookedConfirmMessage([recipe]));
+            return;
+          }
+          await refundQuota(reservation);
         }
       }
-    } catch (decodeError) {
-      // デコードエラーは無視してjwtVerifyに任せる
-      if (decodeError.message.includes('Channel ID mismatch')) {
-        throw decodeError; // Channel ID不一致は再スロー
+    }
+
+    // 「献立教えて」→ プロフィールと冷蔵庫から献立を作る
+    if (features.mealPlan) {
+      const span = detectMealPlanRequest(text);
+      if (span) {
+        let reply;
+        const { ok, quota, reservation } = await reserveQuota(userId, "mealPlan", { plan: tier });
+        try {
+          if (!ok) {
+            reply = { type: "text", text: buildLimitReply(quota, { plan: tier }) };
+          } else {
+            const plan = await generateMealPlan({ userId, span });
+            if (plan) {
+              reply = mealPlanMessage(plan);
+            } else {
+              await refundQuota(reservation);
+              reply = { type: "text", text: MEAL_PLAN_INCOMPLETE_REPLY };
+            }
+          }
+        } catch (e) {
+          console.error("❌ 献立生成エラー:", e);
+          await refundQuota(reservation);
+          reply = { type: "text", text: "ごめんね、献立を考えるのに失敗しちゃった…もう一度お願いしてくれる？🙏" };
+        }
+        await replyToEvent(event, reply);
+        return;
       }
-      console.error("   - Token decode error:", decodeError.message);
     }
 
-    const { payload } = await jwtVerify(idToken, LINE_JWKS, {
-      issuer: LINE_ISSUER,
-      audience: channelId,
-      clockTolerance: 600, // 10分まで許容（LIFFの遅延を考慮）
+    await replyChatWithDeadline(event, { userId, text });
+  } else if (event.message?.type === "audio") {
+    // 音声は文字起こしして、テキストと同じく会話に渡す
+    // 文字起こしも有料なので、会話の回数が残っていない時はダウンロード前に断る
+    const { tier } = await getEntitlement(userId);
+    const quota = await checkQuota(userId, "chat", { plan: tier });
+    if (!quota.allowed) {
+      await replyToEvent(event, { type: "text", text: buildLimitReply(quota, { plan: tier }) });
+      return;
+    }
+    let result;
+    try {
+      result = await transcribeLineAudio(lineClient, event.message);
+    } catch (e) {
+      console.error("❌ 文字起こしエラー:", e);
+      result = { ok: false, reason: "error" };
+    }
+    if (!result.ok) {
+      await replyToEvent(event, { type: "text", text: buildVoiceErrorReply(result.reason) });
+      return;
+    }
+    await replyChatWithDeadline(event, { userId, text: result.text, source: "voice" });
+  } else if (event.message?.type === "image") {
+    const reply = await handleFridgeImage({
+      userId,
+      messageId: event.message.id,
+    });
+    await replyToEvent(event, {
+      type: "text",
+      text: reply,
     });
-
-    console.log("✅ ID Token verified successfully");
-    console.log("   - User ID (sub):", payload.sub);
-
-    return payload;
-  } catch (error) {
-    console.error("❌ ID Token verification failed:");
-    console.error("   - Error name:", error.name);
-    console.error("   - Error message:", error.message);
-    console.error("   - Error code:", error.code);
-
-    throw error;
   }
 }
 
+app.post("/line-webhook", line.middleware(lineConfig), async (req, res) => {
+  try {
+    const events = req.body.events || [];
+    // 再送されたイベントは webhookEventId で重複を弾く（失敗したものは 500 を返して再送を待つ）
+    await Promise.all(events.map((event) => processLineEvent(event, handleLineEvent)));
+    res.status(200).end();
+  } catch (e) {
+    console.error("LINE webhook error:", e);
+    res.status(500).end();
+  }
+});
+
+/* ============ LIFF: セッション発行 & Checkout 作成 ============ */
 // 公開設定を返す（LIFF ID）- キャッシュ無効化
 app.get("/api/config", (_req, res) => {
   res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -595,7 +1239,18 @@ app.get("/api/config", (_req, res) => {
   });
 });
 
-// idToken → userId を返す（マイページ用）
+// 販売中のプラン一覧（pay.html 用）
+app.get("/api/plans", async (_req, res) => {
+  try {
+    const plans = await getPlanCatalog();
+    res.json({ plans: plans.map(toPublicPlan) });
+  } catch (e) {
+    console.error("❌ /api/plans error:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+// idToken を検証してセッション Cookie を発行し、userId を返す（マイページ・決済ページ用）
 app.post("/api/resolve-user", express.json(), async (req, res) => {
   try {
     const { idToken } = req.body || {};
@@ -611,9 +1266,11 @@ app.post("/api/resolve-user", express.json(), async (req, res) => {
     }
 
     const payload = await verifyLineIdToken(idToken);
+    // 以降のAPIはこのセッション Cookie（か IDトークン）で本人を判定する
+    const sessionExpiresAt = await issueSession(req, res, payload.sub);
     console.log("✅ User resolved:", payload.sub);
 
-    return res.json({ userId: payload.sub });
+    return res.json({ userId: payload.sub, sessionExpiresAt: sessionExpiresAt.toISOString() });
   } catch (e) {
     console.error("❌ /api/resolve-user error:", e.message);
     return res.status(401).json({
@@ -624,51 +1281,49 @@ app.post("/api/resolve-user", express.json(), async (req, res) => {
   }
 });
 
+// 🔒 二重課金ガード：すでにプレミアムならCheckoutを発行しない（409 を返したら true）
+// Checkout を作るルートはすべてここを通す
+function rejectAlreadyPremium(res, userData) {
+  if (!isPremiumFromData(userData)) return false;
+  res.status(409).json({
+    error: "already_premium",
+    details: "User already has an active subscription",
+    redirectUrl: "https://menu-planner-express.onrender.com", // レシピアプリへ
+  });
+  return true;
+}
+
 // LIFF経由のCheckout作成（userIdメタデータ付与）
-app.post("/create-checkout-session/liff", express.json(), async (req, res) => {
+app.post("/create-checkout-session/liff", express.json(), requireUser, async (req, res) => {
   try {
-    const { idToken } = req.body || {};
-    console.log("🔍 /create-checkout-session/liff called");
-    console.log("   - ID Token received:", idToken ? "YES" : "NO");
+    const { planKey, promoCode } = req.body || {};
+    const userId = req.userId;
+    console.log("✅ Creating checkout for user:", userId, `(${req.authVia})`);
 
-    if (!idToken) {
-      console.warn("⚠️ Missing idToken in checkout request");
-      return res.status(400).json({ error: "missing idToken" });
-    }
-
-    const payload = await verifyLineIdToken(idToken);
-    const userId = payload.sub;
-    console.log("✅ Creating checkout for user:", userId);
-
-    // 🔒 二重課金ガード：すでにプレミアムならCheckoutを発行しない
     const snap = await db.collection("users").doc(String(userId)).get();
     const data = snap.exists ? snap.data() : {};
-    if (isPremiumFromData(data)) {
-      return res.status(409).json({
-        error: "already_premium",
-        details: "User already has an active subscription",
-        redirectUrl: "https://menu-planner-express.onrender.com", // レシピアプリへ
-      });
+    if (rejectAlreadyPremium(res, data)) return;
+
+    const plan = await getPlan(planKey);
+    if (!plan) {
+      return res.status(400).json({ error: "invalid_plan", details: `unknown plan: ${planKey}` });
+    }
+
+    const promo = await resolvePromoCode({ stripe, plan, promoCode });
+    if (!promo.ok) {
+      return res.status(400).json({ error: promo.error, details: `promo code rejected: ${promoCode}` });
     }
 
     const base = process.env.PUBLIC_ORIGIN || "https://www.oshaberiaiko.com";
-    const session = await stripe.checkout.sessions.create({
-      mode: "subscription",
-      line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
-      success_url: `${base}/success.html?userId=${encodeURIComponent(userId)}`,
-      cancel_url: `${base}/cancel.html?userId=${encodeURIComponent(userId)}`,
-      metadata: { userId },
-      subscription_data: { metadata: { userId } },
-    });
+    const session = await stripe.checkout.sessions.create(
+      buildCheckoutParams({ plan, userId, userData: data, promotionCodeId: promo.promotionCodeId, base })
+    );
 
-    console.log("✅ Checkout session created:", session.id);
+    console.log("✅ Checkout session created:", session.id, "plan:", plan.key);
     return res.json({ url: session.url });
   } catch (e) {
     console.error("❌ LIFF checkout error:", e.message);
-    return res.status(401).json({
-      error: "invalid_token",
-      details: e.message,
-    });
+    return res.status(500).json({ error: "checkout_error", details: e.message });
   }
 });
 
@@ -686,40 +1341,47 @@ app.use((req, res, next) => {
 
 app.use(express.static("public"));
 
-/* ======================== n8n Chat API ======================== */
-// 食材APIは認証なしで許可（マイページからのアクセスのため）
-app.get("/api/chat/:uid/ingredients", chatRoutes);
-app.post("/api/chat/:uid/ingredients", chatRoutes);
+/* ======================== 献立API ======================== */
+app.get("/api/chat/:uid/meal-plans", authenticateN8n, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const plans = await listMealPlans(req.params.uid, { limit });
+    res.json({ plans });
+  } catch (e) {
+    console.error("❌ 献立一覧取得エラー:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+app.get("/api/chat/:uid/meal-plans/:planId", authenticateN8n, async (req, res) => {
+  try {
+    const plan = await getMealPlan(req.params.uid, req.params.planId);
+    if (!plan) return res.status(404).json({ error: "not_found" });
+    res.json({ plan });
+  } catch (e) {
+    console.error("❌ 献立取得エラー:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
 
-// membership情報取得API（n8n用）
-app.get("/api/chat/:uid/membership", authenticateN8n, async (req, res) => {
+// 献立を生成（notify: true ならLINEにも送る）
+app.post("/api/chat/:uid/meal-plans", authenticateN8n, async (req, res) => {
   try {
     const userId = req.params.uid;
-    console.log('📊 Membership取得:', userId);
-    
-    const membershipSnap = await db
-      .collection("conversations")
-      .doc(userId)
-      .collection("membership")
-      .doc("info")
-      .get();
-    
-    if (!membershipSnap.exists) {
-      console.log('⚠️ Membership未登録 - regularとして扱う');
-      return res.json({ tier: "regular", exists: false });
+    const { span = "tonight", notify = false } = req.body || {};
+    if (!MEAL_PLAN_SPANS[span]) {
+      return res.status(400).json({ error: "invalid_span" });
     }
-    
-    const data = membershipSnap.data();
-    console.log('✅ Membership取得成功:', data.tier);
-    
-    return res.json({
-      tier: data.tier || "regular",
-      exists: true,
-      updated_at: data.updated_at
-    });
+
+    const plan = await generateMealPlan({ userId, span });
+    if (!plan) return res.status(502).json({ error: "meal_plan_incomplete" });
+    if (notify) {
+      await pushToUser(userId, mealPlanMessage(plan));
+    }
+    res.json({ plan });
   } catch (e) {
-    console.error("❌ membership取得エラー:", e);
-    return res.status(500).json({ error: "internal_error" });
+    console.error("❌ 献立生成エラー:", e);
+    res.status(500).json({ error: "internal_error" });
   }
 });
 
@@ -765,6 +1427,156 @@ app.post("/admin/switch-richmenu", express.json(), async (req, res) => {
   }
 });
 
+/* ======================== 管理用：Stripeイベントのリプレイ ======================== */
+app.post("/admin/stripe-events/:id/replay", async (req, res) => {
+  try {
+    const { key } = { ...req.query, ...req.body };
+    if (!key || key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+
+    const result = await replayStripeEvent(stripe, req.params.id, handleStripeEvent);
+    const snap = await db.collection("stripe_events").doc(req.params.id).get();
+    res.json({
+      ok: result === "processed",
+      result,
+      status: snap.data()?.status || null,
+      error: snap.data()?.error || null,
+      attempts: snap.data()?.attempts || 0,
+    });
+  } catch (e) {
+    console.error("❌ stripe event replay error:", e);
+    res.status(e?.statusCode === 404 ? 404 : 500).json({ error: e.message });
+  }
+});
+
+/* ======================== 管理用：会員権限の突き合わせ ======================== */
+// Stripe の実サブスクと Firestore を比べてずれを直す（dryRun=1 なら確認だけ）
+app.post("/admin/entitlements/reconcile", async (req, res) => {
+  try {
+    const { key, dryRun } = { ...req.query, ...req.body };
+    if (!key || key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+
+    const result = await reconcileEntitlements({
+      stripe,
+      onChange: syncRichMenuForEntitlement,
+      dryRun: dryRun === true || dryRun === "1" || dryRun === "true",
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("❌ entitlement reconcile error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ======================== 管理用：期限リマインド ======================== */
+// 毎日のジョブを手動で走らせる（dryRun=1 なら送らずに対象だけ返す、withinDays で範囲を変えられる）
+app.post("/admin/expiry-reminders/run", async (req, res) => {
+  try {
+    const { key, dryRun, withinDays } = { ...req.query, ...req.body };
+    if (!key || key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+
+    const result = await runExpiryReminders({
+      push: pushToUser,
+      loadProfile: getProfile,
+      dryRun: dryRun === true || dryRun === "1" || dryRun === "true",
+      ...(Number.isInteger(Number(withinDays)) && withinDays !== "" && withinDays !== undefined
+        ? { withinDays: Number(withinDays) }
+        : {}),
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("❌ expiry reminder run error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ======================== 管理用：あいこからの話しかけ ======================== */
+// 定期チェックを手動で走らせる（dryRun=1 なら送らずに、いま送る時間の人だけ返す）
+app.post("/admin/checkins/run", async (req, res) => {
+  try {
+    const { key, dryRun } = { ...req.query, ...req.body };
+    if (!key || key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+
+    const result = await runCheckins({
+      push: pushToUser,
+      lineClient,
+      dryRun: dryRun === true || dryRun === "1" || dryRun === "true",
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("❌ check-in run error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ======================== 管理用：回数の追加付与 ======================== */
+// body: { key, userId, feature: "chat"|"fridgeScan"|"mealPlan", amount, expiresAt?, reason? }
+app.post("/admin/quota-grants", async (req, res) => {
+  try {
+    const { key, userId, feature, amount, expiresAt, reason } = { ...req.query, ...req.body };
+    if (!key || key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+    if (!userId) return res.status(400).json({ error: "missing userId" });
+
+    const grantId = await grantBonus({ userId, feature, amount, expiresAt, reason, source: "admin" });
+    res.json({ ok: true, grantId });
+  } catch (e) {
+    console.error("❌ quota grant error:", e);
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/* ======================== 管理用：安全イベントの確認 ======================== */
+app.get("/admin/safety-events", async (req, res) => {
+  try {
+    if (!req.query.key || req.query.key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+
+    let query = db.collection("safety_events").orderBy("createdAt", "desc");
+    if (req.query.unreviewed === "1") query = query.where("reviewed", "==", false);
+    const snap = await query.limit(Math.min(parseInt(req.query.limit) || 50, 200)).get();
+
+    const toISO = (v) => (v?.toDate ? v.toDate().toISOString() : null);
+    res.json({
+      events: snap.docs.map((d) => ({
+        id: d.id,
+        ...d.data(),
+        createdAt: toISO(d.data().createdAt),
+        reviewedAt: toISO(d.data().reviewedAt),
+      })),
+    });
+  } catch (e) {
+    console.error("❌ safety_events 取得エラー:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+app.post("/admin/safety-events/:id/review", async (req, res) => {
+  try {
+    const { key, note } = { ...req.query, ...req.body };
+    if (!key || key !== process.env.ADMIN_KEY)
+      return res.status(403).json({ error: "forbidden" });
+
+    const ref = db.collection("safety_events").doc(req.params.id);
+    if (!(await ref.get()).exists) return res.status(404).json({ error: "not_found" });
+    await ref.set(
+      {
+        reviewed: true,
+        reviewNote: note || null,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("❌ safety_events 更新エラー:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
 /* ======================== 通常ルート ======================== */
 app.get("/healthz", (_req, res) => {
   res.json({ ok: true, version: process.env.GIT_COMMIT || "local" });
@@ -776,10 +1588,12 @@ app.get("/api/hello", (_req, res) => {
 
 app.get("/", (_req, res) => res.send("OK"));
 
+// セッション Cookie の本人のポータルを開く（未ログインならマイページへ）
 app.get("/billing-portal", async (req, res) => {
   try {
-    const userId = req.query.userId;
-    if (!userId) return res.status(400).send("missing userId");
+    const auth = await resolveRequestUser(req).catch(() => null);
+    if (!auth) return res.redirect(302, mypageUrl());
+    const userId = auth.userId;
     const snap = await db.collection("users").doc(String(userId)).get();
     if (!snap.exists) return res.status(404).send("user not found");
     const { stripeCustomerId } = snap.data() || {};
@@ -788,7 +1602,7 @@ app.get("/billing-portal", async (req, res) => {
     const base = process.env.PUBLIC_ORIGIN || "https://www.oshaberiaiko.com";
     const session = await stripe.billingPortal.sessions.create({
       customer: stripeCustomerId,
-      return_url: `${base}/mypage-link.html?userId=${encodeURIComponent(userId)}`,
+      return_url: `${base}/mypage-link.html`,
     });
     res.redirect(302, session.url);
   } catch (e) {
@@ -797,14 +1611,13 @@ app.get("/billing-portal", async (req, res) => {
   }
 });
 
-app.get("/api/user/:id", async (req, res) => {
+// 本人の会員状態（/api/user/:id は旧URL。本人以外の id は 403）
+async function sendUserStatus(req, res) {
   try {
-    // キャッシュ無効化ヘッダー
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
-    
-    const id = req.params.id;
+    if (req.params.id && req.params.id !== req.userId) {
+      return res.status(403).json({ error: "forbidden" });
+    }
+    const id = req.userId;
     const snap = await db.collection("users").doc(id).get();
     
     // ユーザーが存在しない場合でも基本情報を返す
@@ -812,42 +1625,125 @@ app.get("/api/user/:id", async (req, res) => {
       return res.json({
         exists: false,
         premium: false,
+        tier: TIERS.FREE,
+        features: FEATURES[TIERS.FREE],
         premiumSince: null,
         premiumUntil: null,
         cancelPending: false,
         cancelAt: null,
+        paymentIssue: false,
+        paymentStatus: null,
+        graceUntil: null,
+        plan: null,
+        trialEnd: null,
       });
     }
     
     const data = snap.data();
     const toISO = (v) =>
       v && typeof v.toDate === "function" ? v.toDate().toISOString() : v || null;
+    const entitlement = computeEntitlement(data);
     res.json({
       exists: true,
-      premium: isPremiumFromData(data),
+      premium: entitlement.premium,
+      tier: entitlement.tier,
+      features: entitlement.features,
       premiumSince: toISO(data.premiumSince),
       premiumUntil: toISO(data.premiumUntil),
       cancelPending: !!data.cancelPending,
       cancelAt: toISO(data.cancelAt),
+      paymentIssue: hasPaymentIssue(data),
+      paymentStatus: data.paymentStatus || null,
+      graceUntil: toISO(data.graceUntil),
+      plan: data.plan || null,
+      trialEnd: toISO(data.trialEnd),
     });
   } catch (e) {
     console.error("Get user error:", e);
     res.status(500).json({ error: "internal_error" });
   }
+}
+app.get("/api/me", requireUser, sendUserStatus);
+app.get("/api/user/:id", requireUser, sendUserStatus);
+
+// 本人の今日の残り回数（機能ごと）
+async function sendUsage(req, res) {
+  try {
+    if (req.params.id && req.params.id !== req.userId) {
+      return res.status(403).json({ error: "forbidden" });
+    }
+    const { tier } = await getEntitlement(req.userId);
+    res.json(await getUsageSummary(req.userId, { plan: tier }));
+  } catch (e) {
+    console.error("Get usage error:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+}
+app.get("/api/me/usage", requireUser, sendUsage);
+app.get("/api/user/:id/usage", requireUser, sendUsage);
+
+// 本人の設定（声の返事など）
+app.get("/api/me/settings", requireUser, async (req, res) => {
+  try {
+    res.json({ settings: await getSettings(req.userId) });
+  } catch (e) {
+    console.error("Get settings error:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
+});
+
+app.post("/api/me/settings", requireUser, async (req, res) => {
+  try {
+    const result = await updateSettings(req.userId, req.body || {});
+    if (!result.ok) {
+      return res
+        .status(result.error === "premium_required" ? 403 : 400)
+        .json({ error: result.error, key: result.key });
+    }
+    res.json({ success: true, settings: result.settings });
+  } catch (e) {
+    console.error("Update settings error:", e);
+    res.status(500).json({ error: "internal_error" });
+  }
 });
 
-app.post("/create-checkout-session", async (req, res) => {
+// 声の返事の音声ファイル（LINE のサーバーが取りに来る。ID は推測できない乱数）
+app.get("/voice/:id.mp3", async (req, res) => {
   try {
-    const userId = req.body?.userId || "demo-user";
+    const voice = await getVoiceReply(req.params.id);
+    if (!voice) return res.status(404).end();
+    res.set("Content-Type", voice.mimeType);
+    res.set("Cache-Control", "private, max-age=86400");
+    res.send(voice.audio);
+  } catch (e) {
+    console.error("Voice reply error:", e);
+    res.status(500).end();
+  }
+});
+
+app.post("/create-checkout-session", requireUser, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const snap = await db.collection("users").doc(String(userId)).get();
+    const userData = snap.exists ? snap.data() : {};
+    if (rejectAlreadyPremium(res, userData)) return;
+
+    const plan = await getPlan(req.body?.planKey);
+    if (!plan) return res.status(400).json({ error: "invalid_plan" });
+
+    const promo = await resolvePromoCode({ stripe, plan, promoCode: req.body?.promoCode });
+    if (!promo.ok) return res.status(400).json({ error: promo.error });
+
     const base = process.env.PUBLIC_ORIGIN || "https://www.oshaberiaiko.com";
-    const session = await stripe.checkout.sessions.create({
-      mode: "subscription",
-      line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
-      success_url: `${base}/success.html?userId=${encodeURIComponent(userId)}`,
-      cancel_url: `${base}/cancel.html?userId=${encodeURIComponent(userId)}`,
-      metadata: { userId },
-      subscription_data: { metadata: { userId } },
-    });
+    const session = await stripe.checkout.sessions.create(
+      buildCheckoutParams({
+        plan,
+        userId,
+        userData,
+        promotionCodeId: promo.promotionCodeId,
+        base,
+      })
+    );
     res.json({ url: session.url });
   } catch (e) {
     console.error("Session error:", e);
@@ -875,4 +1771,14 @@ app.post("/api/chat", authenticateN8n, async (req, res) => {
   }
 });
 
-app.listen(port, () => console.log(`Server on :${port}`));
+app.listen(port, () => {
+  console.log(`Server on :${port}`);
+  startReplyWorker({
+    handle: deliverQueuedReply,
+    onGiveUp: notifyQueuedReplyGaveUp,
+  });
+  startStripeEventRetrier({ stripe, handler: handleStripeEvent });
+  startEntitlementReconciler({ stripe, onChange: syncRichMenuForEntitlement });
+  startExpiryReminderJob({ push: pushToUser, loadProfile: getProfile });
+  startCheckinJob({ push: pushToUser, lineClient });
+});
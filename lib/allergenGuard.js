@@ -0,0 +1,276 @@
+// lib/allergenGuard.js
+// 生成した返事・献立に、プロフィールのアレルギー・苦手な食材が入っていないかを確かめる
+// 同じ食材でも書き方がいろいろあるので（卵 / たまご / 玉子 / オムレツ…）同義語辞書で照合する
+// 見つかったら作り直し（それでもだめなら注意書き）、allergen_conflicts に記録して漏れの頻度を測る
+import admin from "firebase-admin";
+
+/*
+ * 特定原材料（表示義務の8品目）と、特定原材料に準ずるもののうち家庭料理でよく出るもの
+ *   names:    プロフィールの書き方（「卵アレルギー」「乳製品」など）からこの品目だと判断する語
+ *   words:    返事・献立の中で見つけたらこの品目を含むとみなす語（料理名も含む）
+ *   excludes: 先に取り除く紛らわしい語（豆乳は乳ではない、焼きそばはそばではない、など）
+ * ひらがなだけだと普通の言葉と紛れるもの（「かに」「いか」「さけ」など）はカタカナ・漢字でだけ照合する
+ * 醤油・味噌の小麦／大豆は、多くの場合は食べられるため辞書に入れていない
+ */
+export const ALLERGENS = {
+  卵: {
+    names: ["卵", "たまご", "タマゴ", "玉子", "鶏卵"],
+    words: [
+      "卵", "たまご", "タマゴ", "玉子", "エッグ", "オムレツ", "オムライス", "茶碗蒸し", "マヨネーズ", "マヨ",
+      "親子丼", "カステラ", "プリン", "メレンゲ", "天津飯", "かに玉", "カルボナーラ", "月見", "ピカタ",
+    ],
+    excludes: [],
+  },
+  乳: {
+    names: ["乳", "牛乳", "乳製品", "ミルク"],
+    words: [
+      "牛乳", "ミルク", "乳製品", "チーズ", "バター", "ヨーグルト", "生クリーム", "ホイップ", "クリームシチュー",
+      "ホワイトソース", "グラタン", "ドリア", "練乳", "スキムミルク", "脱脂粉乳", "カルボナーラ", "ピザ", "ラテ",
+    ],
+    excludes: ["豆乳", "ココナッツミルク", "アーモンドミルク", "オーツミルク", "ライスミルク", "ピーナッツバター"],
+  },
+  小麦: {
+    names: ["小麦", "こむぎ", "グルテン"],
+    words: [
+      "小麦", "薄力粉", "強力粉", "中力粉", "パン", "うどん", "パスタ", "スパゲッティ", "マカロニ", "ラーメン",
+      "中華麺", "焼きそば", "そうめん", "素麺", "ひやむぎ", "餃子", "ぎょうざ", "シュウマイ", "ワンタン", "春巻き",
+      "天ぷら", "フライ", "ホットケーキ", "パンケーキ", "お好み焼き", "たこ焼き", "クッキー", "ケーキ", "ピザ",
+      "グラタン", "ドリア", "ルウ", "カレールー", "シチューのルー", "麩", "カツ", "クラッカー",
+    ],
+    excludes: [
+      "米粉パン", "米粉", "フライパン", "フライドポテト", "グルテンフリー", "パンダ", "パンツ", "パンプキン",
+      "カツオ", "かつお節",
+    ],
+  },
+  そば: {
+    names: ["そば", "蕎麦", "ソバ"],
+    words: ["そば", "蕎麦", "ソバ", "ガレット"],
+    excludes: ["焼きそば", "焼そば", "中華そば", "ソース焼きそば", "そばに", "そばで", "そばにい", "すぐそば"],
+  },
+  落花生: {
+    names: ["落花生", "ピーナッツ", "ピーナツ"],
+    words: ["落花生", "ピーナッツ", "ピーナツ", "南京豆"],
+    excludes: [],
+  },
+  えび: {
+    names: ["えび", "エビ", "海老", "甲殻類"],
+    words: ["えび", "エビ", "海老", "桜えび", "エビチリ"],
+    excludes: [],
+  },
+  かに: {
+    names: ["かに", "カニ", "蟹", "甲殻類"],
+    words: ["カニ", "蟹", "かに玉", "かにかま", "カニカマ", "かに缶"],
+    excludes: [],
+  },
+  くるみ: {
+    names: ["くるみ", "クルミ", "胡桃"],
+    words: ["くるみ", "クルミ", "胡桃", "ウォールナッツ"],
+    excludes: [],
+  },
+  大豆: {
+    names: ["大豆", "だいず", "豆乳"],
+    words: ["大豆", "豆腐", "納豆", "豆乳", "厚揚げ", "油揚げ", "枝豆", "きな粉", "きなこ", "おから", "湯葉"],
+    excludes: [],
+  },
+  ごま: {
+    names: ["ごま", "ゴマ", "胡麻"],
+    words: ["ごま", "ゴマ", "胡麻", "練りごま"],
+    excludes: ["ごまか"],
+  },
+  さば: {
+    names: ["さば", "サバ", "鯖"],
+    words: ["サバ", "鯖", "さば缶", "さばの"],
+    excludes: ["サバイ"],
+  },
+  さけ: {
+    names: ["鮭", "サケ", "しゃけ", "シャケ", "サーモン"],
+    words: ["鮭", "サケ", "しゃけ", "シャケ", "サーモン"],
+    excludes: [],
+  },
+  いか: {
+    names: ["いか", "イカ", "烏賊"],
+    words: ["イカ", "烏賊", "するめ"],
+    excludes: [],
+  },
+  いくら: {
+    names: ["いくら", "イクラ"],
+    words: ["イクラ", "いくら丼"],
+    excludes: [],
+  },
+  キウイ: {
+    names: ["キウイ", "キウイフルーツ"],
+    words: ["キウイ"],
+    excludes: [],
+  },
+  バナナ: { names: ["バナナ"], words: ["バナナ"], excludes: [] },
+  りんご: { names: ["りんご", "リンゴ", "林檎"], words: ["りんご", "リンゴ", "林檎", "アップル"], excludes: [] },
+  もも: { names: ["桃", "モモ"], words: ["桃", "ピーチ"], excludes: [] },
+  やまいも: {
+    names: ["山芋", "やまいも", "長芋", "ながいも", "とろろ"],
+    words: ["山芋", "やまいも", "長芋", "ながいも", "とろろ", "大和芋"],
+    excludes: [],
+  },
+  牛肉: { names: ["牛肉"], words: ["牛肉", "牛こま", "ビーフ", "牛丼", "すき焼き"], excludes: [] },
+  豚肉: { names: ["豚肉"], words: ["豚肉", "豚こま", "ポーク", "豚バラ", "ベーコン", "ハム", "ソーセージ", "とんかつ", "豚汁", "しょうが焼き"], excludes: [] },
+  鶏肉: { names: ["鶏肉", "とり肉", "鳥肉"], words: ["鶏肉", "とり肉", "鶏もも", "鶏むね", "ささみ", "手羽", "チキン", "唐揚げ", "親子丼"], excludes: [] },
+  ゼラチン: { names: ["ゼラチン"], words: ["ゼラチン", "ゼリー"], excludes: [] },
+};
+
+// 「〇〇なし」「〇〇を使わない」など、使っていないことを言っている箇所は数えない
+const NEGATION = /^(?:は|を|の)?(?:なし|無し|抜き|ぬき|不使用|使わ|使用しない|入れない|代わり|かわり|アレルギー|フリー|避け|除)/;
+// 「卵アレルギー」「ピーマンが苦手」などの言い方から食材名だけを取り出す
+const TERM_SUFFIX = /(アレルギー|が苦手|は苦手|苦手|が嫌い|は嫌い|嫌い|NG|が食べられない|は食べられない|食べられない)$/;
+
+// 食べ物の話をしている返事か（雑談の「そばにいるよ」などまで照合しないように）
+const FOOD_CONTEXT = /(献立|レシピ|作り方|料理|ごはん|ご飯|おかず|夕飯|晩ご?はん|お弁当|離乳食|おやつ|食べ|炒め|煮|焼き|揚げ|茹で|ゆで|材料|食材)/;
+
+export function isFoodRelated(text) {
+  return FOOD_CONTEXT.test(String(text || "").normalize("NFKC"));
+}
+
+const conflictsCol = () => admin.firestore().collection("allergen_conflicts");
+
+function splitTerms(value) {
+  return String(value || "")
+    .normalize("NFKC")
+    .split(/[、,，・\s/／]+/)
+    .map((t) => t.replace(TERM_SUFFIX, "").trim())
+    .filter((t) => t && t !== "なし");
+}
+
+/**
+ * プロフィールから避けるべきものを組み立てる
+ * @returns {Array<{ term: string, kind: "allergy"|"dislike", allergen: string|null, words: string[], excludes: string[] }>}
+ */
+export function buildAvoidList(profile = {}) {
+  const list = [];
+  const add = (value, kind) => {
+    for (const term of splitTerms(value)) {
+      // 紛らわしい語は先に取り除いてから品目を判断する（「豆乳」を乳にしない）
+      const keys = Object.keys(ALLERGENS).filter((k) => {
+        const { names, excludes } = ALLERGENS[k];
+        const t = excludes.reduce((acc, ex) => acc.split(ex).join(" "), term);
+        return names.some((n) => t.includes(n));
+      });
+      if (keys.length) {
+        for (const k of keys) {
+          list.push({ term, kind, allergen: k, words: ALLERGENS[k].words, excludes: ALLERGENS[k].excludes });
+        }
+      } else {
+        // 辞書に無いものは書かれた言葉そのままで照合
+        list.push({ term, kind, allergen: null, words: [term], excludes: [] });
+      }
+    }
+  };
+  add(profile.allergies, "allergy");
+  add(profile.dietaryRestrictions, "dislike");
+  return list;
+}
+
+function findWord(text, word) {
+  let from = 0;
+  for (;;) {
+    const i = text.indexOf(word, from);
+    if (i < 0) return false;
+    if (!NEGATION.test(text.slice(i + word.length, i + word.length + 8))) return true;
+    from = i + word.length;
+  }
+}
+
+/**
+ * テキストに避けるべき食材が出てくるか
+ * @returns {Array<{ term: string, kind: string, allergen: string|null, matched: string }>}
+ */
+export function findConflicts(text, avoidList) {
+  const base = String(text || "").normalize("NFKC");
+  const out = [];
+  const seen = new Set();
+  for (const item of avoidList) {
+    let t = base;
+    for (const ex of item.excludes) t = t.split(ex).join("　");
+    const matched = item.words.find((w) => findWord(t, w));
+    const key = `${item.kind}:${item.allergen || item.term}`;
+    if (matched && !seen.has(key)) {
+      seen.add(key);
+      out.push({ term: item.term, kind: item.kind, allergen: item.allergen, matched });
+    }
+  }
+  return out;
+}
+
+// 作り直しの時に足す指示
+export function buildAvoidPrompt(conflicts) {
+  const names = [...new Set(conflicts.map((c) => c.allergen || c.term))];
+  return (
+    `【重要】この家庭では次の食材が使えません: ${names.join("、")}。` +
+    "これらの食材と、それを含む料理・調味料（例: 卵ならマヨネーズやオムレツ）は一切出さず、代わりの食材で提案し直してください。"
+  );
+}
+
+// 作り直しても残った時に添える注意書き
+export function buildConflictNotice(conflicts) {
+  const allergy = [...new Set(conflicts.filter((c) => c.kind === "allergy").map((c) => c.allergen || c.term))];
+  const dislike = [...new Set(conflicts.filter((c) => c.kind === "dislike").map((c) => c.term))];
+  const matched = [...new Set(conflicts.filter((c) => c.kind === "allergy").map((c) => c.matched))];
+  const lines = [];
+  if (allergy.length) {
+    lines.push(`⚠️ ${allergy.join("・")}のアレルギーが登録されているよ。「${matched.join("・")}」は使わずにアレンジしてね。`);
+  }
+  if (dislike.length) lines.push(`※ 苦手な「${dislike.join("・")}」が入っていたら、別の食材に置きかえてね。`);
+  return lines.join("\n");
+}
+
+/**
+ * 見つかった食い違いを記録する（作り直しで解消したかも残す）
+ * @param {{ userId: string, source: "chat"|"meal_plan", conflicts: object[], action: "regenerated"|"annotated", resolved: boolean, text?: string }} entry
+ */
+export async function logAllergenConflict({ userId, source, conflicts, action, resolved, text = "" }) {
+  try {
+    await conflictsCol().add({
+      userId: String(userId),
+      source,
+      conflicts,
+      allergens: [...new Set(conflicts.map((c) => c.allergen || c.term))],
+      action,
+      resolved,
+      text: String(text).slice(0, 1000),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.warn(`🥚 allergen conflict: user=${userId}, source=${source}, action=${action}, resolved=${resolved}`);
+  } catch (e) {
+    console.error("❌ allergen_conflicts 記録エラー:", e);
+  }
+}
+
+/**
+ * 生成結果を確かめて、食い違いがあれば1回だけ作り直す
+ * 作り直しても残った（または作り直しに失敗した）時は conflicts を返すので、呼び出し側で注意書きを付ける
+ * @param {{ userId: string, source: "chat"|"meal_plan", avoidList: object[], first: any,
+ *           toText: (result: any) => string, regenerate: (avoidPrompt: string) => Promise<any> }} opts
+ * @returns {Promise<{ result: any, conflicts: object[] }>}
+ */
+export async function guardGenerated({ userId, source, avoidList, first, toText, regenerate }) {
+  if (!avoidList.length) return { result: first, conflicts: [] };
+  const conflicts = findConflicts(toText(first), avoidList);
+  if (!conflicts.length) return { result: first, conflicts: [] };
+
+  let result = first;
+  let remaining = conflicts;
+  try {
+    result = await regenerate(buildAvoidPrompt(conflicts));
+    remaining = findConflicts(toText(result), avoidList);
+  } catch (e) {
+    console.error("❌ アレルギー対応の作り直しに失敗:", e.message);
+    result = first;
+  }
+
+  await logAllergenConflict({
+    userId,
+    source,
+    conflicts,
+    action: remaining.length ? "annotated" : "regenerated",
+    resolved: !remaining.length,
+    text: toText(first),
+  });
+  return { result, conflicts: remaining };
+}
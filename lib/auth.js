@@ -0,0 +1,160 @@
+// lib/auth.js
+// LIFF 向けの認証：LINE IDトークン（Authorization: Bearer）か、
+// /api/resolve-user が発行する短命のセッション Cookie からユーザーを決める
+// userId は URL やボディからは受け取らない
+import crypto from "node:crypto";
+import { createRemoteJWKSet, jwtVerify, SignJWT } from "jose";
+
+const LINE_ISSUER = "https://access.line.me";
+const LINE_JWKS = createRemoteJWKSet(new URL("https://api.line.me/oauth2/v2.1/certs"));
+
+export const SESSION_COOKIE = "aiko_session";
+const SESSION_TTL_SEC = Number(process.env.SESSION_TTL_SEC) || 60 * 60;
+const SESSION_ISSUER = "oshaberiaiko";
+
+let sessionKey = null;
+function getSessionKey() {
+  if (sessionKey) return sessionKey;
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    // 未設定でも動くが、再起動でセッションが切れる
+    console.warn("⚠️ SESSION_SECRET 未設定：プロセス内の一時キーでセッションを署名します");
+  }
+  sessionKey = new TextEncoder().encode(secret || crypto.randomBytes(32).toString("hex"));
+  return sessionKey;
+}
+
+/**
+ * LINE IDトークンを検証して payload を返す（sub が LINE userId）
+ */
+export async function verifyLineIdToken(idToken) {
+  const channelId = process.env.LINE_LOGIN_CHANNEL_ID;
+  if (!channelId) throw new Error("LINE_LOGIN_CHANNEL_ID not configured");
+
+  // aud の不一致は設定ミスなので、分かりやすいメッセージで先に返す
+  try {
+    const [, body] = String(idToken).split(".");
+    const aud = JSON.parse(Buffer.from(body, "base64url").toString()).aud;
+    if (aud && aud !== channelId) {
+      throw new Error(
+        `Channel ID mismatch: expected ${channelId}, got ${aud}. ` +
+          `LIFFのチャネルIDとLINE_LOGIN_CHANNEL_IDを一致させてください。`
+      );
+    }
+  } catch (e) {
+    if (e.message.includes("Channel ID mismatch")) throw e;
+    // デコードできないトークンは jwtVerify に任せる
+  }
+
+  const { payload } = await jwtVerify(idToken, LINE_JWKS, {
+    issuer: LINE_ISSUER,
+    audience: channelId,
+    clockTolerance: 600, // 10分まで許容（LIFFの遅延を考慮）
+  });
+  return payload;
+}
+
+/* ======================== セッション Cookie ======================== */
+function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (k) out[k] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function isHttps(req) {
+  return req.secure || req.headers["x-forwarded-proto"] === "https";
+}
+
+/**
+ * セッション Cookie を発行する
+ * @returns {Promise<Date>} 有効期限
+ */
+export async function issueSession(req, res, userId) {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SEC * 1000);
+  const token = await new SignJWT({})
+    .setProtectedHeader({ alg: "HS256" })
+    .setSubject(String(userId))
+    .setIssuer(SESSION_ISSUER)
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(expiresAt.getTime() / 1000))
+    .sign(getSessionKey());
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    secure: isHttps(req),
+    sameSite: "lax",
+    path: "/",
+    maxAge: SESSION_TTL_SEC * 1000,
+  });
+  return expiresAt;
+}
+
+async function verifySession(token) {
+  const { payload } = await jwtVerify(token, getSessionKey(), { issuer: SESSION_ISSUER });
+  return payload.sub;
+}
+
+/**
+ * リクエストからユーザーを決める（IDトークン優先、なければセッション Cookie）
+ * @returns {Promise<{ userId: string, via: "id_token"|"session" }|null>}
+ */
+export async function resolveRequestUser(req) {
+  const authHeader = req.headers.authorization || "";
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (authHeader.startsWith("Bearer ")) {
+    try {
+      const payload = await verifyLineIdToken(authHeader.slice(7));
+      return { userId: payload.sub, via: "id_token" };
+    } catch (e) {
+      // IDトークンが期限切れでもセッションが生きていればそちらを使う
+      if (!token) throw e;
+    }
+  }
+  if (token) return { userId: await verifySession(token), via: "session" };
+  return null;
+}
+
+/**
+ * 本人確認ミドルウェア：req.userId をセットする
+ */
+export async function requireUser(req, res, next) {
+  let auth;
+  try {
+    auth = await resolveRequestUser(req);
+  } catch (e) {
+    console.warn("🚫 user auth failed:", e.message);
+    return res.status(401).json({ error: "invalid_token", details: e.message });
+  }
+  if (!auth) return res.status(401).json({ error: "unauthorized" });
+  req.userId = auth.userId;
+  req.authVia = auth.via;
+  next();
+}
+
+export function isN8nRequest(req) {
+  const token = req.headers["x-n8n-token"];
+  return !!token && token === process.env.N8N_SHARED_SECRET;
+}
+
+/**
+ * /:uid 付きのユーザー向け API 用：n8n はそのまま通し、
+ * それ以外は本人確認をして :uid が本人のものか確かめる
+ */
+export async function requireUserOrN8n(req, res, next) {
+  if (isN8nRequest(req)) {
+    req.authVia = "n8n";
+    return next();
+  }
+  await requireUser(req, res, () => {
+    if (req.params.uid && req.params.uid !== req.userId) {
+      console.error("❌ ユーザーID不一致");
+      return res.status(403).json({ success: false, error: "forbidden" });
+    }
+    next();
+  });
+}
@@ -0,0 +1,311 @@
+// lib/checkin.js
+// あいこから話しかける（夜の「今日もおつかれさま」、週末の献立のお誘いなど）
+// マイページで希望した人にだけ送る。設定は users/{uid}.settings.checkin
+//   { enabled, kinds: { evening: { enabled, time: "HH:MM" }, ... }, quietHours: { start, end }, maxPerWeek }
+// 送った（送らなかった）記録は checkin_logs/{uid}_{kind}_{YYYYMMDD} に1件ずつ残す
+import admin from "firebase-admin";
+import { computeEntitlement } from "./entitlements.js";
+import { isFollowing } from "./lineFollow.js";
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const TICK_MS = Number(process.env.CHECKIN_TICK_MS) || 5 * 60 * 1000;
+// 希望時刻からこの分数を過ぎたら、その日は送らない（サーバーが止まっていた時に夜中に届かないように）
+const SEND_WINDOW_MIN = Number(process.env.CHECKIN_WINDOW_MIN) || 60;
+// 月の送信上限のうち、返信の遅延 push やリマインドのために残しておく通数
+const QUOTA_RESERVE = Number(process.env.CHECKIN_QUOTA_RESERVE ?? 500);
+const LOG_TTL_DAYS = 90;
+const HISTORY_DAYS = 7;
+const PAGE_SIZE = 200;
+
+/*
+ * 話しかけの種類
+ *   days: 送る曜日（0=日曜、JST）
+ *   feature: 必要な機能（無いプランでは送らない）
+ */
+export const CHECKIN_KINDS = {
+  evening: {
+    label: "夜のおつかれさま",
+    defaultTime: "20:30",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    texts: [
+      "今日もおつかれさま🌙 どんな一日だった？よかったら聞かせてね。",
+      "おつかれさま〜！今日もよくがんばったね🍵 ちょっとひと息つけてる？",
+      "今日もいちにちおつかれさま🌼 モヤっとしたこと、ここに置いていってもいいよ。",
+    ],
+    quickReplies: ["聞いてほしいことある", "今日はがんばった！"],
+  },
+  weekendPlan: {
+    label: "週末の献立のお誘い",
+    defaultTime: "10:00",
+    days: [0, 6],
+    feature: "mealPlan",
+    texts: [
+      "週末だね🌼 来週の献立、いまのうちにいっしょに考えておく？",
+      "おはよう☀️ 週末の買い出し前に、献立を決めちゃうとラクだよ〜。考えよっか？",
+    ],
+    quickReplies: ["1週間の献立教えて", "3日分の献立教えて"],
+  },
+};
+
+export const CHECKIN_DEFAULT = {
+  enabled: false,
+  kinds: Object.fromEntries(
+    Object.entries(CHECKIN_KINDS).map(([k, def]) => [k, { enabled: true, time: def.defaultTime }])
+  ),
+  quietHours: { start: "22:00", end: "07:00" },
+  maxPerWeek: 3,
+};
+
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+// おやすみ時間（22:00〜07:00 のように日をまたぐ場合も）に入っているか
+export function inQuietHours(minutes, { start, end }) {
+  const s = toMinutes(start);
+  const e = toMinutes(end);
+  if (s === e) return false;
+  return s < e ? minutes >= s && minutes < e : minutes >= s || minutes < e;
+}
+
+/**
+ * マイページからの設定を保存できる形にする（不正なら undefined）
+ * 足りない項目は既定値で埋める。希望時刻がおやすみ時間に入っている場合は不正
+ */
+export function normalizeCheckin(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return undefined;
+  const time = (v, fallback) => (v === undefined ? fallback : TIME_RE.test(String(v)) ? String(v) : null);
+
+  const quietHours = {
+    start: time(input.quietHours?.start, CHECKIN_DEFAULT.quietHours.start),
+    end: time(input.quietHours?.end, CHECKIN_DEFAULT.quietHours.end),
+  };
+  if (!quietHours.start || !quietHours.end) return undefined;
+
+  const kinds = {};
+  for (const [key, def] of Object.entries(CHECKIN_DEFAULT.kinds)) {
+    const raw = input.kinds?.[key] || {};
+    const t = time(raw.time, def.time);
+    if (!t) return undefined;
+    kinds[key] = { enabled: raw.enabled === undefined ? def.enabled : raw.enabled === true, time: t };
+  }
+
+  const maxPerWeek = input.maxPerWeek === undefined ? CHECKIN_DEFAULT.maxPerWeek : Number(input.maxPerWeek);
+  if (!Number.isInteger(maxPerWeek) || maxPerWeek < 1 || maxPerWeek > 7) return undefined;
+
+  const enabled = input.enabled === true;
+  if (enabled && Object.values(kinds).some((k) => k.enabled && inQuietHours(toMinutes(k.time), quietHours))) {
+    return undefined;
+  }
+  return { enabled, kinds, quietHours, maxPerWeek };
+}
+
+// JST の日付・曜日・0時からの分
+function jstClock(now) {
+  const d = new Date(now.getTime() + JST_OFFSET_MS);
+  return {
+    day: d.toISOString().slice(0, 10),
+    weekday: d.getUTCDay(),
+    minutes: d.getUTCHours() * 60 + d.getUTCMinutes(),
+  };
+}
+
+/**
+ * いま送る時間になっている話しかけ（希望時刻〜SEND_WINDOW_MIN 分のあいだ）
+ * @returns {string[]} CHECKIN_KINDS のキー
+ */
+export function dueCheckins(checkin, features, now = new Date()) {
+  const { weekday, minutes } = jstClock(now);
+  return Object.entries(CHECKIN_KINDS)
+    .filter(([key, def]) => {
+      const pref = checkin.kinds?.[key];
+      if (!pref?.enabled || !def.days.includes(weekday)) return false;
+      if (def.feature && !features[def.feature]) return false;
+      const start = toMinutes(pref.time);
+      return minutes >= start && minutes < start + SEND_WINDOW_MIN;
+    })
+    .map(([key]) => key);
+}
+
+export function buildCheckinMessage(kind, { now = new Date() } = {}) {
+  const def = CHECKIN_KINDS[kind];
+  const { day } = jstClock(now);
+  // 毎日ちがう言い方になるよう日付で選ぶ
+  const text = def.texts[Number(day.replaceAll("-", "")) % def.texts.length];
+  return {
+    type: "text",
+    text,
+    quickReply: {
+      items: def.quickReplies.map((label) => ({ type: "action", action: { type: "message", label, text: label } })),
+    },
+  };
+}
+
+/**
+ * LINE 公式アカウントの今月の残り送信数（上限なしのプランは Infinity）
+ * @returns {Promise<number>}
+ */
+export async function getRemainingPushQuota(lineClient) {
+  const [limit, usage] = await Promise.all([
+    lineClient.getTargetLimitForAdditionalMessages(),
+    lineClient.getNumberOfMessagesSentThisMonth(),
+  ]);
+  if (limit.type !== "limited") return Infinity;
+  return Math.max(0, (limit.value ?? 0) - (usage.totalUsage ?? 0));
+}
+
+const usersCol = () => admin.firestore().collection("users");
+const logsCol = () => admin.firestore().collection("checkin_logs");
+
+/**
+ * 送る時間になった人に話しかける
+ * 1日1回まで・直近7日で maxPerWeek 回まで。おやすみ時間と月の送信上限（QUOTA_RESERVE 通は残す）を守る
+ * dryRun は記録も送信もせず、同じ判定で「送るはずの人」を数える
+ * @param {{ push: (userId: string, message: object) => Promise<boolean>, lineClient: object, now?: Date, dryRun?: boolean }} opts
+ * @returns {Promise<{ checked: number, sent: string[], skipped: Record<string, number> }>}
+ */
+export async function runCheckins({ push, lineClient, now = new Date(), dryRun = false }) {
+  const { day, minutes } = jstClock(now);
+  const dayKey = day.replaceAll("-", "");
+  const result = { checked: 0, sent: [], skipped: {} };
+  const skip = (reason) => {
+    result.skipped[reason] = (result.skipped[reason] || 0) + 1;
+  };
+
+  // 送信上限は実際に送る人が出た時に1回だけ確認する
+  let remaining = null;
+  const quotaLeft = async () => {
+    if (remaining === null) {
+      try {
+        remaining = (await getRemainingPushQuota(lineClient)) - QUOTA_RESERVE;
+      } catch (e) {
+        console.error("❌ 送信上限の取得失敗:", e.message);
+        remaining = 0; // わからない時は送らない
+      }
+    }
+    return remaining;
+  };
+
+  let last = null;
+  for (;;) {
+    let q = usersCol()
+      .where("settings.checkin.enabled", "==", true)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) q = q.startAfter(last);
+    const page = await q.get();
+    if (page.empty) break;
+    last = page.docs[page.docs.length - 1];
+
+    for (const doc of page.docs) {
+      result.checked += 1;
+      const userId = doc.id;
+      const data = doc.data();
+      const checkin = normalizeCheckin(data.settings?.checkin);
+      if (!checkin?.enabled) continue;
+      const kinds = dueCheckins(checkin, computeEntitlement(data).features, now);
+      if (!kinds.length) continue;
+      if (!isFollowing(data)) {
+        skip("unfollowed"); // ブロック中は記録も作らない
+        continue;
+      }
+
+      // 送る時間の重なった話しかけは順に見る。1通送ったら残りは daily_cap になる
+      let history = (data.checkinHistory || []).filter((t) => now.getTime() - Date.parse(t) < HISTORY_DAYS * DAY_MS);
+      for (const kind of kinds) {
+        // 先にその日の記録を作る（複数インスタンス・次のチェックで二重に送らない）
+        // dry run は記録を作らず、あるかどうかだけ見る
+        const ref = logsCol().doc(`${userId}_${kind}_${dayKey}`);
+        if (dryRun) {
+          if ((await ref.get()).exists) continue;
+        } else {
+          try {
+            await ref.create({
+              userId,
+              kind,
+              day,
+              scheduledTime: checkin.kinds[kind].time,
+              status: "pending",
+              expireAt: admin.firestore.Timestamp.fromMillis(now.getTime() + LOG_TTL_DAYS * DAY_MS),
+              createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+          } catch (e) {
+            if (e.code === 6) continue; // ALREADY_EXISTS: 今日はもう処理した
+            console.error(`❌ 話しかけの記録失敗: user=${userId}`, e.message);
+            continue;
+          }
+        }
+
+        const reason = inQuietHours(minutes, checkin.quietHours)
+          ? "quiet_hours"
+          : history.some((t) => jstClock(new Date(t)).day === day)
+            ? "daily_cap"
+            : history.length >= checkin.maxPerWeek
+              ? "weekly_cap"
+              : (await quotaLeft()) <= 0
+                ? "quota"
+                : null;
+        if (reason) {
+          skip(reason);
+          if (!dryRun) await ref.set({ status: "skipped", reason }, { merge: true });
+          continue;
+        }
+
+        if (dryRun) {
+          remaining -= 1;
+          history = [...history, now.toISOString()];
+          result.sent.push(userId);
+          continue;
+        }
+
+        try {
+          const message = buildCheckinMessage(kind, { now });
+          const delivered = await push(userId, message);
+          if (!delivered) {
+            skip("unfollowed");
+            await ref.set({ status: "skipped", reason: "unfollowed" }, { merge: true });
+            continue;
+          }
+          remaining -= 1;
+          history = [...history, now.toISOString()];
+          await ref.set({ status: "sent", text: message.text, sentAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+          await doc.ref.set({ checkinHistory: history }, { merge: true });
+          result.sent.push(userId);
+        } catch (e) {
+          console.error(`❌ 話しかけ送信失敗: user=${userId}`, e.message);
+          skip("error");
+          await ref.set({ status: "failed", error: e.message }, { merge: true }).catch(() => {});
+        }
+      }
+    }
+    if (page.size < PAGE_SIZE) break;
+  }
+
+  if (result.sent.length || dryRun) {
+    console.log(`💬 check-ins: checked=${result.checked}, sent=${result.sent.length}${dryRun ? " (dry run)" : ""}`, result.skipped);
+  }
+  return result;
+}
+
+/**
+ * CHECKIN_TICK_MS ごとに送る時間になった人を探す
+ * @returns {() => void} 停止関数
+ */
+export function startCheckinJob({ push, lineClient }) {
+  let running = false;
+  const tick = async () => {
+    if (running) return; // 前回がまだ終わっていない
+    running = true;
+    try {
+      await runCheckins({ push, lineClient });
+    } catch (e) {
+      console.error("❌ check-in job error:", e);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
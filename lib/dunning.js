@@ -0,0 +1,91 @@
+// lib/dunning.js
+// 支払い失敗（past_due / unpaid / incomplete）の猶予期間と督促メッセージ
+import admin from "firebase-admin";
+
+export const PAYMENT_ISSUE_STATUSES = ["past_due", "unpaid", "incomplete"];
+export const GRACE_DAYS = Number(process.env.PAYMENT_GRACE_DAYS ?? 7);
+const DUNNING_INTERVAL_MS = 20 * 60 * 60 * 1000; // 督促 push は20時間に1回まで
+
+const toMillis = (v) => (v?.toMillis ? v.toMillis() : v instanceof Date ? v.getTime() : 0);
+
+export function hasPaymentIssue(data) {
+  return PAYMENT_ISSUE_STATUSES.includes(data?.paymentStatus);
+}
+
+// 支払い問題があっても猶予期間内ならプレミアムを維持する
+export function isWithinGrace(data) {
+  return hasPaymentIssue(data) && toMillis(data.graceUntil) > Date.now();
+}
+
+/**
+ * 支払い問題を users/{uid} に記録
+ * 初回だけ猶予期限を決める（unpaid は Stripe 側の督促も終わっているので即終了）
+ * @returns {Promise<{ shouldNotify: boolean, graceUntil: object }>} 督促 push を送るべきか
+ */
+export async function markPaymentIssue(userId, status, { failedAt = null } = {}) {
+  const db = admin.firestore();
+  const ref = db.collection("users").doc(String(userId));
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() : {};
+    const first = !hasPaymentIssue(data);
+    const now = Date.now();
+
+    const graceUntil =
+      status === "unpaid"
+        ? admin.firestore.Timestamp.fromMillis(now)
+        : first || !data.graceUntil
+          ? admin.firestore.Timestamp.fromMillis(now + GRACE_DAYS * 24 * 60 * 60 * 1000)
+          : data.graceUntil;
+
+    const shouldNotify = now - toMillis(data.lastDunningAt) > DUNNING_INTERVAL_MS;
+    tx.set(
+      ref,
+      {
+        paymentStatus: status,
+        graceUntil,
+        ...(first ? { paymentIssueSince: admin.firestore.FieldValue.serverTimestamp() } : {}),
+        ...(failedAt ? { lastPaymentFailedAt: failedAt } : {}),
+        ...(shouldNotify
+          ? {
+              lastDunningAt: admin.firestore.FieldValue.serverTimestamp(),
+              dunningCount: admin.firestore.FieldValue.increment(1),
+            }
+          : {}),
+      },
+      { merge: true }
+    );
+    return { shouldNotify, graceUntil };
+  });
+}
+
+export async function clearPaymentIssue(userId) {
+  await admin.firestore().collection("users").doc(String(userId)).set(
+    {
+      paymentStatus: "ok",
+      graceUntil: null,
+      paymentIssueSince: null,
+      dunningCount: 0,
+    },
+    { merge: true }
+  );
+}
+
+export function buildDunningMessage({ portalUrl, graceUntil }) {
+  const until = toMillis(graceUntil);
+  const untilText =
+    until > Date.now()
+      ? new Intl.DateTimeFormat("ja-JP", { timeZone: "Asia/Tokyo", month: "numeric", day: "numeric" }).format(new Date(until))
+      : null;
+  return {
+    type: "text",
+    text: [
+      "プレミアムのお支払いがうまくいかなかったみたい💦",
+      untilText
+        ? `${untilText}まではこのままプレミアムが使えるから、それまでにカード情報を確認してもらえるとうれしいな。`
+        : "いまはプレミアム機能がお休み中だよ。カード情報を更新すると、すぐに再開できるよ。",
+      `▼ お支払い方法の変更はこちら\n${portalUrl}`,
+    ].join("\n"),
+  };
+}
@@ -0,0 +1,251 @@
+// lib/entitlements.js
+// 会員権限の窓口：users/{uid}（premium / premiumUntil / paymentStatus）を正とし、
+// n8n が読む conversations/{uid}/membership/info はここからだけ書く
+import admin from "firebase-admin";
+import { hasPaymentIssue, isWithinGrace, markPaymentIssue, PAYMENT_ISSUE_STATUSES } from "./dunning.js";
+
+export const TIERS = { FREE: "free", PREMIUM: "premium" };
+
+export const FEATURES = {
+  [TIERS.FREE]: {
+    unlimitedChat: false,
+    fridgeScan: false,
+    mealPlan: false,
+    shoppingList: false,
+    personalizedProfile: false,
+    voiceReply: false,
+    expiryReminder: false,
+  },
+  [TIERS.PREMIUM]: {
+    unlimitedChat: true,
+    fridgeScan: true,
+    mealPlan: true,
+    shoppingList: true,
+    personalizedProfile: true,
+    voiceReply: true,
+    expiryReminder: true,
+  },
+};
+
+const usersCol = () => admin.firestore().collection("users");
+const membershipRef = (userId) =>
+  admin
+    .firestore()
+    .collection("conversations")
+    .doc(String(userId))
+    .collection("membership")
+    .doc("info");
+
+const toDate = (v) => (v?.toDate ? v.toDate() : v instanceof Date ? v : null);
+
+// Premium 判定（支払い失敗中は猶予期間だけ有効）
+export function isPremiumFromData(data) {
+  if (!data) return false;
+  if (hasPaymentIssue(data)) return !!data.premium && isWithinGrace(data);
+  if (!data.premium) return false;
+  const until = toDate(data.premiumUntil);
+  if (!until) return true;
+  return until.getTime() > Date.now();
+}
+
+/**
+ * users ドキュメントから権限をまとめて計算
+ * @returns {{ tier: string, premium: boolean, expiresAt: Date|null, features: object, paymentIssue: boolean, inGrace: boolean }}
+ */
+export function computeEntitlement(data) {
+  const premium = isPremiumFromData(data);
+  const tier = premium ? TIERS.PREMIUM : TIERS.FREE;
+  const inGrace = isWithinGrace(data);
+  return {
+    tier,
+    premium,
+    expiresAt: premium ? (inGrace ? toDate(data.graceUntil) : toDate(data?.premiumUntil)) : null,
+    features: FEATURES[tier],
+    paymentIssue: hasPaymentIssue(data),
+    inGrace,
+  };
+}
+
+export async function getEntitlement(userId) {
+  const snap = await usersCol().doc(String(userId)).get();
+  return computeEntitlement(snap.exists ? snap.data() : null);
+}
+
+export async function isPremiumUser(userId) {
+  return (await getEntitlement(userId)).premium;
+}
+
+export async function hasFeature(userId, feature) {
+  return !!(await getEntitlement(userId)).features[feature];
+}
+
+/**
+ * users/{uid} から membership/info を作り直す
+ */
+export async function syncMembership(userId, { source = "system" } = {}) {
+  const ent = await getEntitlement(userId);
+  const ref = membershipRef(userId);
+  const existing = await ref.get();
+  await ref.set(
+    {
+      tier: ent.tier,
+      expires_at: ent.expiresAt ? admin.firestore.Timestamp.fromDate(ent.expiresAt) : null,
+      features: ent.features,
+      payment_issue: ent.paymentIssue,
+      source,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      ...(existing.exists ? {} : { created_at: admin.firestore.FieldValue.serverTimestamp() }),
+    },
+    { merge: true }
+  );
+  return ent;
+}
+
+/**
+ * 権限に関わる users のフィールドを書き、membership も揃える
+ * すべての route / webhook はここを通して premium / premiumUntil を更新する
+ */
+export async function updateEntitlement(userId, fields, { source = "system" } = {}) {
+  await usersCol().doc(String(userId)).set(fields, { merge: true });
+  const ent = await syncMembership(userId, { source });
+  console.log(`🎫 entitlement updated: user=${userId}, tier=${ent.tier}, source=${source}`);
+  return ent;
+}
+
+/* ======================== Stripe との突き合わせ ======================== */
+const RELEVANT = ["active", "trialing", ...PAYMENT_ISSUE_STATUSES];
+
+// 顧客のサブスクから「いま効いている」ものを1つ選ぶ
+function pickCurrentSubscription(subs) {
+  const sorted = [...subs].sort((a, b) => (b.created || 0) - (a.created || 0));
+  return sorted.find((s) => RELEVANT.includes(s.status)) || null;
+}
+
+function expectedFromSubscription(sub) {
+  if (!sub) return { premium: false, premiumUntilSec: null, paymentStatus: null };
+  return {
+    premium: sub.status !== "unpaid",
+    premiumUntilSec: sub.current_period_end || null,
+    paymentStatus: PAYMENT_ISSUE_STATUSES.includes(sub.status) ? sub.status : "ok",
+  };
+}
+
+function diffEntitlement(data, expected) {
+  const drift = [];
+  if (!!data.premium !== expected.premium) drift.push("premium");
+  const untilSec = data.premiumUntil?.seconds ?? null;
+  if (expected.premium && untilSec !== expected.premiumUntilSec) drift.push("premiumUntil");
+  const currentStatus = hasPaymentIssue(data) ? data.paymentStatus : "ok";
+  if (expected.premium && currentStatus !== expected.paymentStatus) drift.push("paymentStatus");
+  return drift;
+}
+
+/**
+ * Firestore と Stripe の実サブスクを突き合わせ、ずれを直す
+ * stripeCustomerId を持つユーザーは Stripe と突き合わせる
+ * 持たないユーザー（手動付与・期限付きの付与）は、期限が過ぎたものだけ free に戻す
+ * （users は読むたびに期限で判定されるが、membership/info とリッチメニューはここで揃えないと premium のまま残る）
+ * @param {object} opts
+ * @param {import("stripe").Stripe} opts.stripe
+ * @param {(userId: string, premium: boolean) => Promise<void>} [opts.onChange] 権限が変わった時（リッチメニュー切替など）
+ * @returns {Promise<{ checked: number, fixed: object[] }>}
+ */
+export async function reconcileEntitlements({ stripe, onChange, pageSize = 100, dryRun = false }) {
+  const result = { checked: 0, fixed: [] };
+  let last = null;
+
+  for (;;) {
+    let query = usersCol()
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const page = await query.get();
+    if (page.empty) break;
+    last = page.docs[page.docs.length - 1];
+
+    for (const doc of page.docs) {
+      const data = doc.data();
+      if (!data.stripeCustomerId) {
+        if (!data.premium || isPremiumFromData(data)) continue;
+        result.checked += 1;
+        result.fixed.push({ userId: doc.id, drift: ["expired"], tierDrift: true, subscription: null, status: null });
+        if (dryRun) continue;
+        try {
+          await updateEntitlement(doc.id, { premium: false }, { source: "expiry" });
+          if (onChange) await onChange(doc.id, false);
+        } catch (e) {
+          console.error(`❌ expiry sweep error: user=${doc.id}`, e.message);
+        }
+        continue;
+      }
+      result.checked += 1;
+      try {
+        const subs = await stripe.subscriptions.list({
+          customer: data.stripeCustomerId,
+          status: "all",
+          limit: 10,
+        });
+        const sub = pickCurrentSubscription(subs.data);
+        const expected = expectedFromSubscription(sub);
+        const drift = diffEntitlement(data, expected);
+        const mirror = (await membershipRef(doc.id).get()).data()?.tier;
+        const tierDrift = mirror !== computeEntitlement(data).tier;
+        if (!drift.length && !tierDrift) continue;
+
+        result.fixed.push({ userId: doc.id, drift, tierDrift, subscription: sub?.id || null, status: sub?.status || null });
+        if (dryRun) continue;
+
+        if (drift.length) {
+          const wasPremium = isPremiumFromData(data);
+          if (expected.paymentStatus && expected.paymentStatus !== "ok" && !hasPaymentIssue(data)) {
+            await markPaymentIssue(doc.id, expected.paymentStatus);
+          }
+          const ent = await updateEntitlement(
+            doc.id,
+            {
+              premium: expected.premium,
+              premiumUntil: expected.premiumUntilSec
+                ? admin.firestore.Timestamp.fromMillis(expected.premiumUntilSec * 1000)
+                : null,
+              ...(expected.paymentStatus === "ok" ? { paymentStatus: "ok", graceUntil: null } : {}),
+              ...(sub ? { lastSubscriptionId: sub.id } : {}),
+            },
+            { source: "reconcile" }
+          );
+          if (onChange && ent.premium !== wasPremium) await onChange(doc.id, ent.premium);
+        } else {
+          await syncMembership(doc.id, { source: "reconcile" });
+        }
+      } catch (e) {
+        console.error(`❌ reconcile error: user=${doc.id}`, e.message);
+      }
+    }
+    if (page.size < pageSize) break;
+  }
+
+  if (!dryRun) {
+    await admin.firestore().collection("entitlement_reconciliations").add({
+      checked: result.checked,
+      fixedCount: result.fixed.length,
+      fixed: result.fixed.slice(0, 200),
+      at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  console.log(`🧮 reconcile done: checked=${result.checked}, fixed=${result.fixed.length}${dryRun ? " (dry run)" : ""}`);
+  return result;
+}
+
+/**
+ * 定期的に突き合わせを走らせる
+ * @returns {() => void} 停止関数
+ */
+export function startEntitlementReconciler({ stripe, onChange }) {
+  const intervalMs = Number(process.env.ENTITLEMENT_RECONCILE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+  const timer = setInterval(() => {
+    reconcileEntitlements({ stripe, onChange }).catch((e) =>
+      console.error("❌ reconcile job error:", e)
+    );
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
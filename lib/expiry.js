@@ -0,0 +1,301 @@
+// lib/expiry.js
+// 食材の購入日・期限（ingredients/current の各項目）と「早めに使ってね」リマインド
+//   item = { name, quantity, category, purchasedAt: "YYYY-MM-DD", expiresAt: "YYYY-MM-DD", expiryEstimated: boolean }
+// 期限が入力されていない食材は、カテゴリ（と一部の食材名）から目安の日数で見積もる
+import admin from "firebase-admin";
+import { complete } from "./llm/index.js";
+import { computeEntitlement } from "./entitlements.js";
+import { isFollowing } from "./lineFollow.js";
+import { settingsFromData } from "./userSettings.js";
+import { buildAvoidList, guardGenerated, buildConflictNotice } from "./allergenGuard.js";
+
+// 冷蔵保存での目安（日）
+const SHELF_LIFE_DAYS = {
+  野菜: 5,
+  肉: 3,
+  魚: 2,
+  乳製品: 7,
+  果物: 5,
+  調味料: 90,
+  その他: 7,
+};
+// カテゴリの目安と大きくちがうもの（上から順に評価）
+const SHELF_LIFE_BY_NAME = [
+  [/ひき肉|挽肉|ミンチ|刺身|もやし/, 1],
+  [/豆腐|生クリーム/, 3],
+  [/牛乳|納豆|ハム|ベーコン|ソーセージ/, 7],
+  [/ヨーグルト|チーズ/, 10],
+  [/卵|たまご|玉子/, 14],
+  [/玉ねぎ|たまねぎ|じゃがいも|にんじん|人参|かぼちゃ/, 14],
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WINDOW_DAYS = Number(process.env.EXPIRY_REMINDER_WINDOW_DAYS ?? 1);
+const REMINDER_HOUR_JST = Number(process.env.EXPIRY_REMINDER_HOUR_JST ?? 16);
+const TICK_MS = Number(process.env.EXPIRY_REMINDER_TICK_MS) || 15 * 60 * 1000;
+const PAGE_SIZE = 200;
+
+const remindersCol = () => admin.firestore().collection("expiry_reminders");
+const usersCol = () => admin.firestore().collection("users");
+const ingredientsRef = (userId) =>
+  admin.firestore().collection("conversations").doc(String(userId)).collection("ingredients").doc("current");
+
+// JST の日付を "YYYY-MM-DD" で
+export function jstDate(now = new Date()) {
+  return new Date(now.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function isDate(s) {
+  if (!DATE_RE.test(String(s || ""))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+export function estimateShelfLifeDays({ name = "", category } = {}) {
+  const n = String(name).normalize("NFKC");
+  const byName = SHELF_LIFE_BY_NAME.find(([re]) => re.test(n));
+  if (byName) return byName[1];
+  return SHELF_LIFE_DAYS[category] ?? SHELF_LIFE_DAYS["その他"];
+}
+
+/**
+ * 購入日（無ければ今日）と期限（無ければ見積もり）を付ける
+ * 見積もりの期限は購入日やカテゴリが変わったら付け直す。入力された期限はそのまま
+ */
+export function stampIngredient(item, { today = jstDate() } = {}) {
+  const purchasedAt = isDate(item.purchasedAt) ? item.purchasedAt : today;
+  const explicit = isDate(item.expiresAt) && item.expiryEstimated !== true;
+  return {
+    ...item,
+    purchasedAt,
+    expiresAt: explicit ? item.expiresAt : addDays(purchasedAt, estimateShelfLifeDays(item)),
+    expiryEstimated: !explicit,
+  };
+}
+
+export function stampIngredients(items, opts) {
+  return (items || []).map((item) => stampIngredient(item, opts));
+}
+
+// 購入日の記録を始める前に保存された食材があるか
+export function needsDateBackfill(items) {
+  return (items || []).some((i) => !isDate(i.purchasedAt));
+}
+
+/**
+ * 購入日の無い食材に、リストの最終更新日（data.updated_at）を購入日として付ける
+ * 「今日」で見積もると読むたび・保存するたびに期限が先へずれてしまうため
+ * @param {object[]} items
+ * @param {object} data ingredients/current のドキュメント
+ */
+export function withLegacyPurchaseDates(items, data, { today = jstDate() } = {}) {
+  const updatedAt = data?.updated_at?.toDate?.();
+  const purchasedAt = updatedAt ? jstDate(updatedAt) : today;
+  return (items || []).map((i) => (isDate(i.purchasedAt) ? i : stampIngredient({ ...i, purchasedAt }, { today })));
+}
+
+/**
+ * 購入日の無い食材に日付を付けて保存する（1回だけ。以降は保存した日付で期限を数える）
+ * @returns {Promise<object[]>} 日付を付けた食材
+ */
+export async function backfillIngredientDates(userId, { today = jstDate() } = {}) {
+  const ref = ingredientsRef(userId);
+  return admin.firestore().runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return [];
+    const data = snap.data();
+    const items = data.ingredients || [];
+    if (!needsDateBackfill(items)) return stampIngredients(items, { today });
+
+    const stamped = stampIngredients(withLegacyPurchaseDates(items, data, { today }), { today });
+    tx.set(ref, { ingredients: stamped }, { merge: true });
+    console.log(`🗓️ 購入日を補完: user=${userId}, ${items.filter((i) => !isDate(i.purchasedAt)).length}件`);
+    return stamped;
+  });
+}
+
+// 同じ食材をまた買った時（買い物リストのチェックなど）は購入日から数え直す
+export function restockIngredient(item, { today = jstDate() } = {}) {
+  return stampIngredient({ ...item, purchasedAt: today, expiresAt: null, expiryEstimated: true }, { today });
+}
+
+/**
+ * 期限が近い（過ぎた）食材を、期限の早い順に
+ * @returns {Array<object & { daysLeft: number }>}
+ */
+export function findExpiringItems(ingredients, { withinDays = WINDOW_DAYS, today = jstDate() } = {}) {
+  return stampIngredients(ingredients, { today })
+    .map((i) => ({ ...i, daysLeft: daysBetween(today, i.expiresAt) }))
+    .filter((i) => i.daysLeft <= withinDays && i.daysLeft >= -2) // だいぶ前に切れたものは言わない
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+export function expiryLabel(daysLeft) {
+  if (daysLeft < 0) return "期限が過ぎてる";
+  if (daysLeft === 0) return "今日まで";
+  if (daysLeft === 1) return "明日まで";
+  return `あと${daysLeft}日`;
+}
+
+/**
+ * 期限の近い食材から「〇〇が明日までだよ、△△どう？」を作る
+ * @returns {Promise<string>}
+ */
+export async function buildExpirySuggestion({ userId, items, profile = {} }) {
+  const list = items
+    .slice(0, 5)
+    .map((i) => `- ${i.name}${i.quantity ? `（${i.quantity}）` : ""}: ${expiryLabel(i.daysLeft)}${i.expiryEstimated ? "（目安）" : ""}`)
+    .join("\n");
+  const avoidList = buildAvoidList(profile);
+  const draft = async (avoidPrompt) => {
+    const { text } = await complete({
+      task: "expiry_suggest",
+      messages: [
+        {
+          role: "system",
+          content:
+            "あなたは育児中のママを気づかう「あいこ」です。期限の近い食材を使い切るための、手軽な料理を1つだけ提案します。" +
+            "友だちに話すような口調で、2文以内。例:「豚こまが明日までだよ、生姜焼きどう？」。期限が（目安）の食材は「そろそろ」くらいのやわらかい言い方にしてください。",
+        },
+        ...(avoidPrompt ? [{ role: "system", content: avoidPrompt }] : []),
+        { role: "user", content: `【期限が近い食材】\n${list}` },
+      ],
+    });
+    return (text || "").trim();
+  };
+
+  const { result, conflicts } = await guardGenerated({
+    userId,
+    source: "expiry_reminder",
+    avoidList,
+    first: await draft(),
+    toText: (t) => t,
+    regenerate: draft,
+  });
+  const fallback = `${items[0].name}が${expiryLabel(items[0].daysLeft)}だよ、今日のごはんに使ってみてね🍳`;
+  const text = result || fallback;
+  return conflicts.length ? `${text}\n\n${buildConflictNotice(conflicts)}` : text;
+}
+
+export function buildExpiryReminderMessage(text) {
+  return {
+    type: "text",
+    text: `🧊 ${text}`,
+    quickReply: {
+      items: [
+        { type: "action", action: { type: "message", label: "今夜の献立を考えて", text: "今夜の献立教えて" } },
+      ],
+    },
+  };
+}
+
+/**
+ * 希望したプレミアム会員に、期限の近い食材のリマインドを送る（1人1日1回まで）
+ * @param {{ push: (userId: string, message: object) => Promise<any>, loadProfile: (userId: string) => Promise<object>,
+ *           now?: Date, withinDays?: number, dryRun?: boolean }} opts
+ * @returns {Promise<{ checked: number, sent: string[], skipped: number }>}
+ */
+export async function runExpiryReminders({ push, loadProfile, now = new Date(), withinDays = WINDOW_DAYS, dryRun = false }) {
+  const today = jstDate(now);
+  const dayKey = today.replaceAll("-", "");
+  const result = { checked: 0, sent: [], skipped: 0 };
+
+  let last = null;
+  for (;;) {
+    let q = usersCol()
+      .where("settings.expiryReminder", "==", true)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (last) q = q.startAfter(last);
+    const page = await q.get();
+    if (page.empty) break;
+    last = page.docs[page.docs.length - 1];
+
+    for (const doc of page.docs) {
+      result.checked += 1;
+      const userId = doc.id;
+      const data = doc.data();
+      if (!settingsFromData(data).expiryReminder || !computeEntitlement(data).features.expiryReminder || !isFollowing(data)) {
+        result.skipped += 1;
+        continue;
+      }
+      try {
+        const snap = await ingredientsRef(userId).get();
+        let ingredients = snap.exists ? snap.data().ingredients || [] : [];
+        if (needsDateBackfill(ingredients) && !dryRun) ingredients = await backfillIngredientDates(userId, { today });
+        const items = findExpiringItems(ingredients, { withinDays, today });
+        if (!items.length) {
+          result.skipped += 1;
+          continue;
+        }
+        if (dryRun) {
+          result.sent.push(userId);
+          continue;
+        }
+
+        // 先に当日分の記録を作る（複数インスタンスで動いても二重に送らない）
+        const ref = remindersCol().doc(`${userId}_${dayKey}`);
+        try {
+          await ref.create({
+            userId,
+            day: today,
+            items: items.map((i) => ({ name: i.name, expiresAt: i.expiresAt, daysLeft: i.daysLeft })),
+            status: "sending",
+            expireAt: admin.firestore.Timestamp.fromMillis(now.getTime() + 30 * DAY_MS),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        } catch (e) {
+          if (e.code === 6) {
+            result.skipped += 1; // ALREADY_EXISTS: 今日はもう送った
+            continue;
+          }
+          throw e;
+        }
+
+        const text = await buildExpirySuggestion({ userId, items, profile: await loadProfile(userId) });
+        await push(userId, buildExpiryReminderMessage(text));
+        await ref.set({ status: "sent", text, sentAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        result.sent.push(userId);
+      } catch (e) {
+        console.error(`❌ 期限リマインド失敗: user=${userId}`, e.message);
+        await remindersCol()
+          .doc(`${userId}_${dayKey}`)
+          .set({ status: "failed", error: e.message }, { merge: true })
+          .catch(() => {});
+      }
+    }
+    if (page.size < PAGE_SIZE) break;
+  }
+
+  console.log(`🧊 expiry reminders: checked=${result.checked}, sent=${result.sent.length}${dryRun ? " (dry run)" : ""}`);
+  return result;
+}
+
+/**
+ * 毎日 EXPIRY_REMINDER_HOUR_JST 時以降の最初のチェックで送る（夕飯の買い物前を想定して既定は16時）
+ * @returns {() => void} 停止関数
+ */
+export function startExpiryReminderJob({ push, loadProfile }) {
+  let lastRunDay = null;
+  const tick = () => {
+    const now = new Date();
+    const hour = new Date(now.getTime() + 9 * 60 * 60 * 1000).getUTCHours();
+    const today = jstDate(now);
+    if (hour < REMINDER_HOUR_JST || lastRunDay === today) return;
+    lastRunDay = today;
+    runExpiryReminders({ push, loadProfile, now }).catch((e) => console.error("❌ expiry reminder job error:", e));
+  };
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
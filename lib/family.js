@@ -0,0 +1,124 @@
+// lib/family.js
+// プロフィールの家族情報（大人の人数・子どものニックネームと生年月日）
+// 年齢は保存せず、使うたびに生年月日から計算する（「生後8ヶ月」「3歳」など）
+//   profile/info.family = { adults: 2, children: [{ nickname: "はる", birthdate: "2022-04-10" }] }
+
+const MAX_CHILDREN = 10;
+const MAX_ADULTS = 10;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// 今日の日付（JST）を { y, m, d } で
+function jstToday(now = new Date()) {
+  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+  return { y: jst.getUTCFullYear(), m: jst.getUTCMonth() + 1, d: jst.getUTCDate() };
+}
+
+function parseDate(s) {
+  const m = DATE_RE.exec(String(s || ""));
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const date = new Date(Date.UTC(y, mo - 1, d));
+  if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return { y, m: mo, d };
+}
+
+/**
+ * 生年月日から満年齢を計算する
+ * @returns {{ years: number, months: number, totalMonths: number, days: number }|null} 未来日・不正な日付は null
+ */
+export function ageOf(birthdate, now = new Date()) {
+  const b = parseDate(birthdate);
+  if (!b) return null;
+  const t = jstToday(now);
+  let totalMonths = (t.y - b.y) * 12 + (t.m - b.m);
+  if (t.d < b.d) totalMonths -= 1;
+  const days = Math.round((Date.UTC(t.y, t.m - 1, t.d) - Date.UTC(b.y, b.m - 1, b.d)) / 86400000);
+  if (days < 0) return null;
+  return { years: Math.floor(totalMonths / 12), months: totalMonths % 12, totalMonths, days };
+}
+
+// 「生後12日」「生後8ヶ月」「1歳6ヶ月」「3歳」（食事の段階が変わりやすい3歳未満は月まで）
+export function formatAge(age) {
+  if (!age) return "";
+  if (age.totalMonths < 1) return `生後${age.days}日`;
+  if (age.years < 1) return `生後${age.totalMonths}ヶ月`;
+  if (age.years < 3 && age.months) return `${age.years}歳${age.months}ヶ月`;
+  return `${age.years}歳`;
+}
+
+// 月齢ごとの食事の目安（献立の量・かたさの参考）
+export function foodStage(age) {
+  if (!age) return null;
+  const m = age.totalMonths;
+  if (m < 5) return "ミルク・母乳";
+  if (m < 7) return "離乳食初期";
+  if (m < 9) return "離乳食中期";
+  if (m < 12) return "離乳食後期";
+  if (m < 18) return "離乳食完了期";
+  if (m < 72) return "幼児食";
+  return null;
+}
+
+/**
+ * 入力（マイページ・n8n）を保存できる形に整える
+ * @returns {{ ok: true, family: object|null } | { ok: false, error: string }} 空なら family: null（削除）
+ */
+export function normalizeFamily(input) {
+  if (input === null || input === "") return { ok: true, family: null };
+  if (typeof input !== "object" || Array.isArray(input)) return { ok: false, error: "invalid_family" };
+
+  let adults = null;
+  if (input.adults !== undefined && input.adults !== null && input.adults !== "") {
+    adults = Number(input.adults);
+    if (!Number.isInteger(adults) || adults < 0 || adults > MAX_ADULTS) {
+      return { ok: false, error: "invalid_adults" };
+    }
+  }
+
+  const rawChildren = input.children ?? [];
+  if (!Array.isArray(rawChildren) || rawChildren.length > MAX_CHILDREN) {
+    return { ok: false, error: "invalid_children" };
+  }
+  const children = [];
+  for (const c of rawChildren) {
+    const nickname = String(c?.nickname || "").trim().slice(0, 20);
+    const birthdate = String(c?.birthdate || "").trim();
+    if (!nickname && !birthdate) continue; // 空の行は無視
+    if (!nickname) return { ok: false, error: "missing_nickname" };
+    if (!ageOf(birthdate)) return { ok: false, error: "invalid_birthdate" };
+    children.push({ nickname, birthdate });
+  }
+  children.sort((a, b) => a.birthdate.localeCompare(b.birthdate));
+
+  if (adults === null && !children.length) return { ok: true, family: null };
+  return { ok: true, family: { adults, children } };
+}
+
+/**
+ * 子どもごとの今の年齢
+ * @returns {Array<{ nickname: string, birthdate: string, age: string, stage: string|null }>}
+ */
+export function childrenWithAges(family, now = new Date()) {
+  return (family?.children || [])
+    .map((c) => ({ ...c, _age: ageOf(c.birthdate, now) }))
+    .filter((c) => c._age)
+    .map(({ _age, ...c }) => ({ ...c, age: formatAge(_age), stage: foodStage(_age) }));
+}
+
+/**
+ * プロンプト用の一行まとめ
+ * 例: 「大人2人、子ども2人（はる: 3歳・幼児食／ゆい: 生後8ヶ月・離乳食中期）」
+ * @returns {string} 家族情報が無ければ ""
+ */
+export function describeFamily(family, now = new Date()) {
+  const children = childrenWithAges(family, now);
+  const parts = [];
+  if (Number.isInteger(family?.adults) && family.adults > 0) parts.push(`大人${family.adults}人`);
+  if (children.length) {
+    const detail = children
+      .map((c) => `${c.nickname}: ${c.age}${c.stage ? `・${c.stage}` : ""}`)
+      .join("／");
+    parts.push(`子ども${children.length}人（${detail}）`);
+  }
+  return parts.join("、");
+}
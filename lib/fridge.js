@@ -0,0 +1,248 @@
+// lib/fridge.js
+// 冷蔵庫スキャン：LINE画像 → 食材認識 → ingredients/current へマージ
+import admin from "firebase-admin";
+import { complete } from "./llm/index.js";
+import { stampIngredient, stampIngredients, withLegacyPurchaseDates } from "./expiry.js";
+
+export const CATEGORIES = ["野菜", "肉", "魚", "乳製品", "果物", "調味料", "その他"];
+const CORRECTION_WINDOW_MS = 60 * 60 * 1000; // スキャン後この時間内なら「〇〇じゃなくて△△」で修正できる
+
+const norm = (s) => (s || "").toString().normalize("NFKC").trim().toLowerCase();
+
+function ingredientsRef(userId) {
+  return admin
+    .firestore()
+    .collection("conversations")
+    .doc(String(userId))
+    .collection("ingredients")
+    .doc("current");
+}
+
+// LINEのコンテンツAPIから画像をBufferで取得
+export async function downloadLineContent(lineClient, messageId) {
+  const stream = await lineClient.getMessageContent(messageId);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// 認識結果を {name, quantity, category} に揃える
+function sanitizeItems(items) {
+  if (!Array.isArray(items)) return [];
+  const seen = new Set();
+  const out = [];
+  for (const it of items) {
+    const name = (it?.name || "").toString().trim();
+    if (!name || seen.has(norm(name))) continue;
+    seen.add(norm(name));
+    out.push({
+      name,
+      quantity: (it.quantity || "").toString().trim(),
+      category: CATEGORIES.includes(it.category) ? it.category : "その他",
+    });
+  }
+  return out;
+}
+
+// 画像から食材を認識
+export async function detectIngredients(imageBuffer, { mimeType = "image/jpeg" } = {}) {
+  const { text } = await complete({
+    task: "vision",
+    json: true,
+    messages: [
+      {
+        role: "system",
+        content:
+          "冷蔵庫や食材の写真から、写っている食材を日本語で列挙してください。" +
+          'JSONで {"ingredients":[{"name":"鶏もも肉","quantity":"1パック","category":"肉"}]} の形で返します。' +
+          `categoryは ${CATEGORIES.join("/")} のいずれか。数量が分からなければ空文字。確信が持てないものは含めないでください。`,
+      },
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "この写真の食材を教えて" },
+          {
+            type: "image_url",
+            image_url: { url: `data:${mimeType};base64,${imageBuffer.toString("base64")}` },
+          },
+        ],
+      },
+    ],
+  });
+  const raw = text || "{}";
+  let parsed = {};
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    console.warn("⚠️ 食材認識結果のJSONパース失敗:", raw.slice(0, 200));
+  }
+  return sanitizeItems(parsed.ingredients);
+}
+
+// 既存リストにマージ（同名は数量だけ更新）
+export async function mergeIngredients(userId, detected) {
+  const ref = ingredientsRef(userId);
+  const snap = await ref.get();
+  // 購入日の無い以前の食材は、スキャンした今日ではなくリストの更新日を購入日にする
+  const current = snap.exists ? withLegacyPurchaseDates(snap.data().ingredients, snap.data()) : [];
+
+  const merged = [...current];
+  for (const item of detected) {
+    const idx = merged.findIndex((c) => norm(c.name) === norm(item.name));
+    if (idx >= 0) {
+      if (item.quantity) merged[idx] = { ...merged[idx], quantity: item.quantity };
+    } else {
+      merged.push(item);
+    }
+  }
+
+  // 新しく見つかった食材は今日買ったものとして、期限をカテゴリから見積もる
+  const stamped = stampIngredients(merged);
+  await ref.set(
+    {
+      ingredients: stamped,
+      lastScan: {
+        items: detected.map((d) => d.name),
+        at: admin.firestore.Timestamp.now(),
+      },
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      ...(snap.exists ? {} : { created_at: admin.firestore.FieldValue.serverTimestamp() }),
+    },
+    { merge: true }
+  );
+  return stamped;
+}
+
+export function formatScanReply(detected) {
+  if (!detected.length) {
+    return "ごめんね、写真から食材をうまく読み取れなかったみたい🙏 明るいところで、食材が見えるようにもう一度撮ってみてくれる？";
+  }
+  const lines = detected.map(
+    (d) => `・${d.name}${d.quantity ? `（${d.quantity}）` : ""}`
+  );
+  return [
+    "冷蔵庫の中身、こんな感じで登録したよ✨",
+    ...lines,
+    "",
+    "ちがうところがあったら「鶏肉じゃなくて豚肉ね」みたいに教えてね。",
+  ].join("\n");
+}
+
+const CORRECTION_RE = /^(.+?)(?:じゃなくて|じゃなく|ではなくて|ではなく)(.+?)(?:だよ|です|ね|よ)?[。！!～〜\s]*$/;
+
+// 名前からカテゴリを推測（牛乳を肉にしないよう乳製品を先に見る）。分からなければ null
+const CATEGORY_BY_NAME = [
+  ["乳製品", /牛乳|ミルク|チーズ|ヨーグルト|バター|生クリーム/],
+  ["肉", /肉|豚|牛|鶏|ささみ|ひき|ベーコン|ハム|ソーセージ|ウインナー/],
+  ["魚", /魚|鮭|さけ|サーモン|鯖|さば|鮪|まぐろ|ぶり|たら|えび|海老|いか|たこ|あさり|しらす|ちくわ|かまぼこ/],
+  ["果物", /りんご|バナナ|みかん|いちご|ぶどう|キウイ|レモン|桃|梨|柿/],
+  ["野菜", /キャベツ|にんじん|人参|玉ねぎ|たまねぎ|じゃがいも|大根|白菜|ねぎ|トマト|きゅうり|ほうれん草|ピーマン|なす|ブロッコリー|もやし|レタス|しめじ|えのき|しいたけ|きのこ|かぼちゃ|ごぼう/],
+  ["調味料", /醤油|しょうゆ|味噌|みそ|マヨネーズ|ケチャップ|ソース|ドレッシング|みりん|砂糖|塩|酢|油/],
+];
+
+export function guessCategory(name) {
+  const n = (name || "").toString().normalize("NFKC");
+  const hit = CATEGORY_BY_NAME.find(([, re]) => re.test(n));
+  return hit ? hit[0] : null;
+}
+
+/**
+ * 「〇〇じゃなくて△△」を読み取る
+ * @returns {{from:string, to:string}|null}
+ */
+export function parseScanCorrection(text) {
+  const m = (text || "").normalize("NFKC").trim().match(CORRECTION_RE);
+  if (!m) return null;
+  const from = m[1].trim();
+  const to = m[2].trim();
+  return from && to ? { from, to } : null;
+}
+
+// a の文字が b に順番どおり含まれているか（「鶏肉」→「鶏もも肉」）
+function isSubsequence(a, b) {
+  let i = 0;
+  for (const c of b) if (c === a[i]) i += 1;
+  return i === a.length;
+}
+
+/**
+ * 直前のスキャンで認識した名前から、ユーザーの言う食材を探す
+ * 完全一致があればそれだけ。無ければ部分一致（「鶏肉」で「鶏もも肉」）の候補を全部返す
+ * @returns {string[]}
+ */
+export function matchScannedItems(scanned, from) {
+  const f = norm(from);
+  const names = (scanned || []).filter(Boolean);
+  const exact = names.filter((name) => norm(name) === f);
+  if (exact.length) return exact;
+  if (f.length < 2) return [];
+  return names.filter((name) => {
+    const n = norm(name);
+    return n.includes(f) || f.includes(n) || isSubsequence(f, n);
+  });
+}
+
+/**
+ * 食材リストの名前を直し、カテゴリと見積もりの期限も付け直す（保存はしない）
+ * @returns {object[]}
+ */
+export function renameIngredient(ingredients, from, to) {
+  return (ingredients || []).map((i) => {
+    if (norm(i.name) !== norm(from)) return i;
+    return stampIngredient({ ...i, name: to, category: guessCategory(to) || "その他" });
+  });
+}
+
+/**
+ * スキャン直後の「〇〇じゃなくて△△」を食材リストに反映
+ * 候補が複数あるときは反映せずに candidates を返す（どれのことか聞き返す）
+ * @returns {Promise<{from:string, to:string}|{candidates:string[], to:string}|null>} 関係ない文なら null
+ */
+export async function applyScanCorrection(userId, text) {
+  const parsed = parseScanCorrection(text);
+  if (!parsed) return null;
+  const { to } = parsed;
+
+  const ref = ingredientsRef(userId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  const scannedAt = data.lastScan?.at?.toMillis ? data.lastScan.at.toMillis() : 0;
+  if (Date.now() - scannedAt > CORRECTION_WINDOW_MS) return null;
+
+  // 直前のスキャンで認識した食材だけを直す（前からある食材は変えない）
+  const scanned = data.lastScan?.items || [];
+  const candidates = matchScannedItems(scanned, parsed.from);
+  if (!candidates.length) return null;
+  if (candidates.length > 1) return { candidates, to };
+
+  const from = candidates[0];
+  const ingredients = data.ingredients || [];
+  if (!ingredients.some((i) => norm(i.name) === norm(from))) return null;
+
+  await ref.set(
+    {
+      ingredients: renameIngredient(ingredients, from, to),
+      // 続けて「△△じゃなくて□□」と直せるように、スキャン結果の名前も置き換える
+      lastScan: { ...data.lastScan, items: scanned.map((name) => (norm(name) === norm(from) ? to : name)) },
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+  console.log(`✏️ 食材修正: userId=${userId}, ${from} → ${to}`);
+  return { from, to };
+}
+
+// 候補が複数ある時の聞き返し（ボタンを押すとそのまま「〇〇じゃなくて△△」が送られる）
+export function buildCorrectionChoiceMessage({ candidates, to }) {
+  return {
+    type: "text",
+    text: `どれを「${to}」に直す？`,
+    quickReply: {
+      items: candidates.slice(0, 13).map((name) => ({
+        type: "action",
+        action: { type: "message", label: name.slice(0, 20), text: `${name}じゃなくて${to}` },
+      })),
+    },
+  };
+}
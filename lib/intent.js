@@ -0,0 +1,91 @@
+// lib/intent.js
+// 意図ルーター：発話の意図を分類し、Prompt.js のテンプレカテゴリを選ぶ
+import { templates as aikoTemplates } from "../Prompt.js";
+
+/*
+ * intent → 使うテンプレ（style: 返し方の参考、followUp: 最後に添える問いかけ）
+ * 上から順に評価し、最初にキーワードが当たったものを採用
+ */
+const INTENTS = [
+  {
+    intent: "spouse_frustration",
+    template: "spicyEmpathy",
+    keywords: [/(夫|旦那|だんな|主人|パパ|ぱぱ|オット|おっと)(が|は|って|に|の)/, /ワンオペ|わんおぺ/, /察して|言わなきゃ|手伝ってくれない|何もしない/],
+  },
+  {
+    intent: "guilt",
+    template: "guilt",
+    keywords: [/ダメな(母|親|ママ)|だめな(母|親|ママ)/, /母親失格|親失格/, /自分を責め|罪悪感|申し訳ない|ごめんね(って|と)/, /怒りすぎ|怒っちゃった|怒鳴っちゃ/],
+  },
+  {
+    intent: "tiredness",
+    template: "tired",
+    keywords: [/疲れ|つかれ|しんどい|眠い|ねむい|寝不足|だるい|ヘトヘト|へとへと|くたくた|クタクタ/],
+  },
+  {
+    intent: "menu_question",
+    template: "microTips",
+    keywords: [/献立|夕飯|夕ご?はん|晩ご?はん|ばんごはん|お昼ご?はん|朝ご?はん|レシピ|何作ろう|なに作ろう|ご飯どうしよう|ごはんどうしよう/],
+  },
+  {
+    intent: "appearance_change",
+    template: "makeover",
+    keywords: [/髪(切|型|を染)|美容院|美容室|メイク|ネイル|イメチェン|新しい服|服を買/],
+  },
+  {
+    intent: "venting",
+    template: "empathy",
+    followUp: "menuAsk",
+    keywords: [/イライラ|いらいら|ムカつ|むかつ|モヤモヤ|もやもや|聞いて|きいて|愚痴|ぐち|最悪|泣きそう|不安/],
+  },
+  {
+    intent: "light_complaint",
+    template: "humor",
+    keywords: [/また(こぼ|散らか|脱ぎっぱなし)|イヤイヤ期|いやいや期|寝ない|食べない|言うこと聞かない/],
+  },
+];
+
+// concern（安全モード見守り）の時に使ってよいテンプレ
+const SAFE_TEMPLATES = new Set(["empathy", "tired", "guilt"]);
+
+const pick = (arr) => (arr?.length ? arr[Math.floor(Math.random() * arr.length)] : null);
+
+/**
+ * 発話の意図を分類
+ * @returns {{ intent: string, template: string|null, followUp: string|null }}
+ */
+export function classifyIntent(text) {
+  const t = (text || "").toString().normalize("NFKC");
+  for (const def of INTENTS) {
+    if (def.keywords.some((re) => re.test(t))) {
+      return { intent: def.intent, template: def.template, followUp: def.followUp || null };
+    }
+  }
+  return { intent: "chitchat", template: null, followUp: null };
+}
+
+/**
+ * 意図に応じたテンプレ例を選ぶ
+ * @returns {{ intent: string, template: string|null, example: string|null, followUp: string|null }}
+ */
+export function routeIntent(text, { safetyConcern = false } = {}) {
+  const { intent, template, followUp } = classifyIntent(text);
+  const usable = template && (!safetyConcern || SAFE_TEMPLATES.has(template));
+  return {
+    intent,
+    template: usable ? template : null,
+    example: usable ? pick(aikoTemplates[template]) : null,
+    followUp: usable && followUp && !safetyConcern ? pick(aikoTemplates[followUp]) : null,
+  };
+}
+
+// システムプロンプトに足す「返し方の参考」
+export function buildStylePrompt(route) {
+  if (!route?.example) return null;
+  return [
+    "【今回の返し方の参考】",
+    `相手の話の種類: ${route.intent}`,
+    `次の一文の雰囲気を参考に、言い回しはそのまま使わず自然に取り入れてください: 「${route.example}」`,
+    ...(route.followUp ? [`最後に、次のような問いかけを1つ添えてもOK: 「${route.followUp}」`] : []),
+  ].join("\n");
+}
@@ -0,0 +1,30 @@
+// lib/lineConsoleClient.js
+// LINE_CLIENT=console の時に使う、送信内容をコンソールに出すだけのクライアント
+// LLM_PROVIDER=fake・SPEECH_PROVIDER=fake と組み合わせて、webhook → 返信までを手元で確認する用
+// 会話履歴や回数は Firestore に読み書きするので、ネットワークなしで動かす時は Firestore エミュレータを使う
+//   FIRESTORE_EMULATOR_HOST=localhost:8080 LINE_CLIENT=console LINE_CHANNEL_SECRET=local \
+//   LLM_PROVIDER=fake SPEECH_PROVIDER=fake node index.js
+import { Readable } from "stream";
+
+export function createConsoleLineClient() {
+  const print = (kind, to, messages) => {
+    const list = Array.isArray(messages) ? messages : [messages];
+    for (const m of list) {
+      console.log(`📨 [LINE ${kind}] to=${to}`, m.type === "text" ? m.text : JSON.stringify(m));
+    }
+    return Promise.resolve({});
+  };
+
+  return {
+    replyMessage: (replyToken, messages) => print("reply", replyToken, messages),
+    pushMessage: (to, messages) => print("push", to, messages),
+    linkRichMenuToUser: (userId, richMenuId) => {
+      console.log(`📨 [LINE richmenu] ${userId} → ${richMenuId}`);
+      return Promise.resolve({});
+    },
+    getMessageContent: async () => Readable.from([Buffer.alloc(0)]),
+    // 送信上限なしとして扱う
+    getTargetLimitForAdditionalMessages: async () => ({ type: "none" }),
+    getNumberOfMessagesSentThisMonth: async () => ({ totalUsage: 0 }),
+  };
+}
@@ -0,0 +1,111 @@
+// lib/lineEvents.js
+// LINE Webhook の重複処理防止：webhookEventId ごとに line_events に状態を残す（stripe_events と同じ考え方）
+// 再送（deliveryContext.isRedelivery）や replyToken 失効時は push で返す
+// line_events.expireAt に Firestore の TTL ポリシーを設定しておくと古い記録は自動で消える
+import admin from "firebase-admin";
+
+const COLLECTION = "line_events";
+const TTL_DAYS = Number(process.env.LINE_EVENT_TTL_DAYS) || 3;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const events = () => admin.firestore().collection(COLLECTION);
+const toMillis = (v) => (v?.toMillis ? v.toMillis() : 0);
+
+export const isRedelivery = (event) => !!event?.deliveryContext?.isRedelivery;
+
+/**
+ * イベントを確保（ロック）できたら true
+ * processed はスキップ、processing は古くなっていれば奪い直す、failed は再送でやり直す
+ */
+async function claim(event) {
+  const db = admin.firestore();
+  const ref = events().doc(event.webhookEventId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() : null;
+    if (data?.status === "processed") return false;
+    if (data?.status === "processing" && Date.now() - toMillis(data.lockedAt) < STALE_LOCK_MS) return false;
+
+    tx.set(
+      ref,
+      {
+        type: event.type,
+        userId: event.source?.userId || null,
+        status: "processing",
+        redelivery: isRedelivery(event),
+        attempts: admin.firestore.FieldValue.increment(1),
+        lockedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000),
+        ...(snap.exists ? {} : { receivedAt: admin.firestore.FieldValue.serverTimestamp() }),
+      },
+      { merge: true }
+    );
+    return true;
+  });
+}
+
+/**
+ * 1件処理する（失敗時は failed にして throw。LINE の再送でやり直せる）
+ * @returns {Promise<"processed"|"skipped">}
+ */
+export async function processLineEvent(event, handler) {
+  // webhookEventId の無いイベント（古い形式・テスト送信）はそのまま処理
+  if (!event.webhookEventId) {
+    await handler(event);
+    return "processed";
+  }
+
+  if (!(await claim(event))) {
+    console.log(`ℹ️ line event skipped (already handled or in progress): ${event.webhookEventId}`);
+    return "skipped";
+  }
+
+  const ref = events().doc(event.webhookEventId);
+  try {
+    await handler(event);
+    await ref.set(
+      { status: "processed", processedAt: admin.firestore.FieldValue.serverTimestamp(), error: null },
+      { merge: true }
+    );
+    return "processed";
+  } catch (e) {
+    await ref
+      .set(
+        {
+          status: "failed",
+          error: (e?.message || String(e)).slice(0, 1000),
+          failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      )
+      .catch(() => {});
+    throw e;
+  }
+}
+
+export function isInvalidReplyTokenError(e) {
+  const message = e?.originalError?.response?.data?.message || e?.message || "";
+  return e?.statusCode === 400 && /reply token/i.test(message);
+}
+
+/**
+ * イベントへの返信（再送イベント・replyToken 失効時は push に切り替える）
+ * @param {import("@line/bot-sdk").Client} lineClient
+ * @returns {(event: object, messages: object|object[]) => Promise<"reply"|"push">}
+ */
+export function createEventReplier(lineClient) {
+  return async function replyToEvent(event, messages) {
+    const userId = event.source?.userId;
+    if (!isRedelivery(event) && event.replyToken) {
+      try {
+        await lineClient.replyMessage(event.replyToken, messages);
+        return "reply";
+      } catch (e) {
+        if (!userId || !isInvalidReplyTokenError(e)) throw e;
+        console.warn(`⚠️ replyToken 失効のため push に切り替え: user=${userId}`);
+      }
+    }
+    await lineClient.pushMessage(userId, messages);
+    return "push";
+  };
+}
@@ -0,0 +1,150 @@
+// lib/lineFollow.js
+// 友だち追加・ブロック（follow / unfollow）の記録と、友だち追加直後のオンボーディング
+// ブロック中のユーザーには push しない（LINE の月間メッセージ数も無駄にしない）
+import admin from "firebase-admin";
+
+const usersCol = () => admin.firestore().collection("users");
+
+// 解約分析用に follow / unfollow をすべて残す
+async function logFollowEvent(userId, type) {
+  await admin.firestore().collection("line_follow_events").add({
+    userId: String(userId),
+    type,
+    at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * 友だち追加：users ドキュメントを作成（再追加なら following を戻す）
+ * @returns {Promise<{ isNew: boolean, data: object }>}
+ */
+export async function recordFollow(userId) {
+  const db = admin.firestore();
+  const ref = usersCol().doc(String(userId));
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const isNew = !snap.exists;
+    tx.set(
+      ref,
+      {
+        following: true,
+        followedAt: admin.firestore.FieldValue.serverTimestamp(),
+        unfollowedAt: null,
+        ...(isNew
+          ? {
+              premium: false,
+              createdAt: admin.firestore.FieldValue.serverTimestamp(),
+              onboarding: { step: "welcome", startedAt: admin.firestore.FieldValue.serverTimestamp() },
+            }
+          : { followCount: admin.firestore.FieldValue.increment(1) }),
+      },
+      { merge: true }
+    );
+    return { isNew, data: snap.exists ? snap.data() : {} };
+  });
+  await logFollowEvent(userId, "follow");
+  console.log(`👋 follow: user=${userId}${result.isNew ? " (new)" : ""}`);
+  return result;
+}
+
+export async function recordUnfollow(userId) {
+  await usersCol().doc(String(userId)).set(
+    {
+      following: false,
+      unfollowedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+  await logFollowEvent(userId, "unfollow");
+  console.log(`🚪 unfollow: user=${userId}`);
+}
+
+export function isFollowing(data) {
+  return data?.following !== false;
+}
+
+export async function canPushTo(userId) {
+  const snap = await usersCol().doc(String(userId)).get();
+  return isFollowing(snap.exists ? snap.data() : null);
+}
+
+export async function setOnboardingStep(userId, step) {
+  await usersCol().doc(String(userId)).set(
+    {
+      onboarding: {
+        step,
+        ...(step === "done" ? { completedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+      },
+    },
+    { merge: true }
+  );
+}
+
+// オンボーディングのクイックリプライ（postback はディスパッチャーで処理）
+const ONBOARDING_QUICK_REPLY = {
+  items: [
+    {
+      type: "action",
+      action: { type: "postback", label: "何ができるの？", data: "action=onboarding_tips", displayText: "何ができるの？" },
+    },
+    {
+      type: "action",
+      action: { type: "postback", label: "さっそく話す", data: "action=onboarding_done", displayText: "さっそく話したい！" },
+    },
+    {
+      type: "action",
+      action: { type: "postback", label: "マイページ", data: "action=open_mypage", displayText: "マイページを開く" },
+    },
+  ],
+};
+
+/**
+ * 友だち追加直後のあいさつ
+ * @param {{ isNew: boolean }} opts 再追加の時は短く
+ */
+export function buildWelcomeMessages({ isNew }) {
+  if (!isNew) {
+    return [
+      {
+        type: "text",
+        text: "おかえり〜！また話せてうれしいよ🌼 いつでも気軽に話しかけてね。",
+        quickReply: ONBOARDING_QUICK_REPLY,
+      },
+    ];
+  }
+  return [
+    {
+      type: "text",
+      text:
+        "はじめまして、あいこだよ🌼 友だち追加ありがとう！\n" +
+        "育児のモヤモヤも、今日あったちょっとしたことも、なんでも話してね。",
+    },
+    {
+      type: "text",
+      text: "まずはどうする？",
+      quickReply: ONBOARDING_QUICK_REPLY,
+    },
+  ];
+}
+
+export function buildOnboardingTips() {
+  return {
+    type: "text",
+    text: [
+      "あいこができることはこんな感じだよ✨",
+      "・グチや相談をゆっくり聞く（無料は1日に数回まで）",
+      "・「献立教えて」で今夜や1週間の献立づくり 💎",
+      "・冷蔵庫の写真から食材リストづくり 💎",
+      "・「買い物リスト」で献立に合わせた買い物リスト 💎",
+      "💎はプレミアム限定だよ。まずは気軽に話しかけてみてね！",
+    ].join("\n"),
+    quickReply: {
+      items: [
+        {
+          type: "action",
+          action: { type: "postback", label: "さっそく話す", data: "action=onboarding_done", displayText: "さっそく話したい！" },
+        },
+      ],
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// lib/llm/config.js
+// タスク × プランごとのモデル設定（model / maxTokens / temperature）
+
+/*
+ * default に plan ごとの値を上書きする
+ * 環境変数 LLM_TASK_CONFIG（JSON）でさらに上書きできる
+ *   例: LLM_TASK_CONFIG='{"chat":{"premium":{"model":"gpt-4o-mini"}}}'
+ */
+export const TASKS = {
+  chat: {
+    default: { model: "gpt-4o", maxTokens: 220, temperature: 0.8 },
+    premium: { maxTokens: 400 },
+  },
+  // 安全モード（見守り）の会話
+  chat_concern: {
+    default: { model: "gpt-4o", maxTokens: 220, temperature: 0.2 },
+    premium: { maxTokens: 400 },
+  },
+  summary: {
+    default: { model: "gpt-4o-mini", maxTokens: 600, temperature: 0.2 },
+  },
+  vision: {
+    default: { model: "gpt-4o", maxTokens: 800, temperature: 0.1 },
+  },
+  // 1週間分でも JSON が途中で切れないよう、出力の上限と待ち時間は日数ぶん足す（generateMealPlan）
+  meal_plan: {
+    default: {
+      model: "gpt-4o",
+      maxTokens: 800,
+      maxTokensPerDay: 1000,
+      timeoutMs: 20000,
+      timeoutMsPerDay: 12000,
+      temperature: 0.7,
+    },
+  },
+  // 会話からプロフィール項目を抜き出す
+  profile_extract: {
+    default: { model: "gpt-4o-mini", maxTokens: 300, temperature: 0 },
+  },
+  // 会話で提案したレシピの材料を書き出す（「作った」で冷蔵庫から差し引く用）
+  recipe_extract: {
+    default: { model: "gpt-4o-mini", maxTokens: 400, temperature: 0 },
+  },
+  // 期限の近い食材を使い切る一品の提案（リマインド用）
+  expiry_suggest: {
+    default: { model: "gpt-4o-mini", maxTokens: 150, temperature: 0.7 },
+  },
+};
+
+function envOverrides() {
+  if (!process.env.LLM_TASK_CONFIG) return {};
+  try {
+    return JSON.parse(process.env.LLM_TASK_CONFIG);
+  } catch (e) {
+    console.warn("⚠️ LLM_TASK_CONFIG のJSONが不正です:", e.message);
+    return {};
+  }
+}
+
+/**
+ * タスクとプランから実際に使う設定を決める
+ * @returns {{ model: string, maxTokens: number, temperature: number, timeoutMs?: number }}
+ */
+export function resolveTaskConfig(task, plan = "default") {
+  const base = TASKS[task];
+  if (!base) throw new Error(`unknown LLM task: ${task}`);
+  const env = envOverrides()[task] || {};
+  return {
+    ...base.default,
+    ...(plan !== "default" ? base[plan] : {}),
+    ...(env.default || {}),
+    ...(plan !== "default" ? env[plan] : {}),
+  };
+}
@@ -0,0 +1,93 @@
+// lib/llm/fakeProvider.js
+// ネットワークもAPIキーも不要な決定的プロバイダ（ローカル動作確認用）
+// LLM の代わりをするだけ。Firestore は本物かエミュレータが要る（lib/lineConsoleClient.js 参照）
+import { templates as aikoTemplates } from "../../Prompt.js";
+
+// 同じ入力には同じ出力を返すための簡易ハッシュ
+function hash(s) {
+  let h = 0;
+  for (const c of s) h = (h * 31 + c.codePointAt(0)) >>> 0;
+  return h;
+}
+
+const textOf = (content) =>
+  Array.isArray(content)
+    ? content.filter((p) => p.type === "text").map((p) => p.text).join("\n")
+    : (content || "").toString();
+
+function lastUserText(messages) {
+  const m = [...messages].reverse().find((x) => x.role === "user");
+  return m ? textOf(m.content) : "";
+}
+
+const FIXTURES = {
+  chat(messages) {
+    const input = lastUserText(messages);
+    const pool = aikoTemplates.empathy;
+    return `${pool[hash(input) % pool.length]}（fake: 「${input.slice(0, 20)}」）`;
+  },
+  chat_concern(messages) {
+    return `${aikoTemplates.tired[0]}（fake: 見守りモード）`;
+  },
+  summary(messages) {
+    return `- （fake要約）${lastUserText(messages).replace(/\s+/g, " ").slice(0, 120)}`;
+  },
+  vision() {
+    return JSON.stringify({
+      ingredients: [
+        { name: "卵", quantity: "6個", category: "その他" },
+        { name: "鶏もも肉", quantity: "1パック", category: "肉" },
+        { name: "キャベツ", quantity: "1/2玉", category: "野菜" },
+      ],
+    });
+  },
+  profile_extract(messages) {
+    const input = lastUserText(messages);
+    const allergy = input.match(/(卵|小麦|乳|えび|かに|そば|落花生|くるみ)アレルギー/)?.[1];
+    return JSON.stringify({ facts: allergy ? [{ field: "allergies", value: allergy }] : [] });
+  },
+  recipe_extract() {
+    return JSON.stringify({
+      ingredients: [
+        { name: "鶏もも肉", amount: 0.5, unit: "パック" },
+        { name: "キャベツ", amount: 0.25, unit: "玉" },
+        { name: "しょうゆ", amount: null, unit: "" },
+      ],
+    });
+  },
+  expiry_suggest(messages) {
+    const [, name, label] = lastUserText(messages).match(/- ([^（:\n]+)(?:（[^）]*）)?: ([^（\n]+)/) || [];
+    return name ? `${name}が${label}だよ、炒め物にしてみるのはどう？（fake）` : "（fake）";
+  },
+  meal_plan(messages) {
+    const days = Number(lastUserText(messages).match(/（(\d+)日分/)?.[1]) || 1;
+    return JSON.stringify({
+      days: Array.from({ length: days }, (_, i) => ({
+        label: `${i + 1}日目`,
+        dishes: [
+          {
+            name: "鶏とキャベツの甘辛炒め",
+            cookingTimeMinutes: 15,
+            ingredients: [
+              { name: "鶏もも肉", amount: 1, unit: "パック", fromFridge: true },
+              { name: "キャベツ", amount: 0.25, unit: "玉", fromFridge: true },
+              { name: "しょうが", amount: 1, unit: "かけ", fromFridge: false },
+            ],
+            tips: "鶏肉は皮目から焼くとカリッと仕上がるよ",
+          },
+        ],
+      })),
+    });
+  },
+};
+
+export function createFakeProvider() {
+  return {
+    name: "fake",
+    async complete({ task, messages, json }) {
+      const fixture = FIXTURES[task];
+      const text = fixture ? fixture(messages) : json ? "{}" : "（fake）";
+      return { text, usage: null };
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// lib/llm/index.js
+// LLM呼び出しの窓口：会話・要約・画像認識・献立はすべてここを通す
+import { resolveTaskConfig } from "./config.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createFakeProvider } from "./fakeProvider.js";
+import { withTimeout, retry, createCircuitBreaker } from "./resilience.js";
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  fake: createFakeProvider,
+};
+
+let provider = null;
+
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 20000;
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const breaker = createCircuitBreaker({
+  name: "llm",
+  threshold: Number(process.env.LLM_BREAKER_THRESHOLD) || 5,
+  cooldownMs: Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000,
+});
+
+export const circuitState = () => breaker.state();
+
+// LLM_PROVIDER 未指定なら openai。fake は LLM_PROVIDER=fake の時だけ（キーの設定漏れで本番が fake にならないように）
+function defaultProviderName() {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("OPENAI_API_KEY is not set (ローカル確認なら LLM_PROVIDER=fake)");
+  }
+  return "openai";
+}
+
+export function getProvider() {
+  if (!provider) {
+    const name = defaultProviderName();
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`unknown LLM_PROVIDER: ${name}`);
+    provider = factory();
+    console.log(`🤖 LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+// テストやローカル検証で差し替える用
+export function setProvider(next) {
+  provider = next;
+}
+
+/**
+ * タスク設定を解決してLLMを呼ぶ
+ * タイムアウト・リトライ付き。上流が落ち続けている間はブレーカーが開き、
+ * code: "CIRCUIT_OPEN" のエラーで即座に失敗する
+ * @param {object} opts
+ * @param {string} opts.task     config.js の TASKS のキー
+ * @param {string} [opts.plan]   "free" / "premium" など
+ * @param {object[]} opts.messages OpenAI 形式のメッセージ
+ * @param {boolean} [opts.json]  JSONで返してほしい時
+ * @param {object} [opts.overrides] maxTokens・timeoutMs などをその場で上書き
+ * @returns {Promise<{ text: string, usage: object|null }>}
+ */
+export async function complete({ task, plan = "default", messages, json = false, overrides = {} }) {
+  const { timeoutMs = TIMEOUT_MS, ...cfg } = { ...resolveTaskConfig(task, plan), ...overrides };
+  const p = getProvider();
+  return breaker.exec(() =>
+    retry(
+      () => withTimeout((signal) => p.complete({ task, messages, json, signal, ...cfg }), timeoutMs),
+      { retries: MAX_RETRIES }
+    )
+  );
+}
@@ -0,0 +1,27 @@
+// lib/llm/openaiProvider.js
+import OpenAI from "openai";
+
+export function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+  // リトライとタイムアウトは lib/llm/resilience.js 側で制御する
+  const client = new OpenAI({ apiKey, maxRetries: 0 });
+
+  return {
+    name: "openai",
+    async complete({ model, messages, maxTokens, temperature, json, signal }) {
+      const completion = await client.chat.completions.create(
+        {
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          ...(json ? { response_format: { type: "json_object" } } : {}),
+        },
+        { signal }
+      );
+      return {
+        text: completion.choices?.[0]?.message?.content?.trim() || "",
+        usage: completion.usage || null,
+      };
+    },
+  };
+}
@@ -0,0 +1,106 @@
+// lib/llm/resilience.js
+// タイムアウト・リトライ（指数バックオフ）・サーキットブレーカー
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function codedError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * fn(signal) を ms でタイムアウトさせる（AbortSignal で上流のリクエストも止める）
+ */
+export async function withTimeout(fn, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(codedError(`LLM request timed out after ${ms}ms`, "LLM_TIMEOUT"));
+    }, ms);
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// リトライしてよいエラーか（タイムアウト・429・5xx・通信エラー）
+export function isRetryable(err) {
+  if (!err) return false;
+  if (err.code === "LLM_TIMEOUT") return true;
+  const status = err.status || err.response?.status;
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+  return ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"].includes(err.code) ||
+    err.name === "APIConnectionError";
+}
+
+/**
+ * 失敗したら baseDelayMs * 2^n（＋ゆらぎ）待って再試行
+ */
+export async function retry(fn, { retries = 2, baseDelayMs = 500, maxDelayMs = 5000 } = {}) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const jitter = Math.floor(Math.random() * delay * 0.3);
+      console.warn(`⏳ LLM retry ${attempt + 1}/${retries} in ${delay + jitter}ms:`, err.message);
+      await sleep(delay + jitter);
+      attempt += 1;
+    }
+  }
+}
+
+/**
+ * 連続失敗が threshold に達したら cooldownMs の間は即失敗させる
+ * cooldown 明けは1件だけ試し（half-open）、成功したら閉じる
+ */
+export function createCircuitBreaker({ name = "llm", threshold = 5, cooldownMs = 30000 } = {}) {
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const state = () => {
+    if (!openedAt) return "closed";
+    return Date.now() - openedAt >= cooldownMs ? "half_open" : "open";
+  };
+
+  return {
+    state,
+    async exec(fn) {
+      const s = state();
+      if (s === "open" || (s === "half_open" && trialInFlight)) {
+        throw codedError(`circuit '${name}' is open`, "CIRCUIT_OPEN");
+      }
+      if (s === "half_open") trialInFlight = true;
+      try {
+        const result = await fn();
+        if (openedAt) console.log(`✅ circuit '${name}' closed`);
+        failures = 0;
+        openedAt = 0;
+        return result;
+      } catch (err) {
+        // 入力起因のエラー（400など）は上流の不調として数えない
+        if (isRetryable(err)) {
+          failures += 1;
+          if (s === "half_open" || failures >= threshold) {
+            if (!openedAt || s === "half_open") {
+              console.error(`🔌 circuit '${name}' opened after ${failures} failures`);
+            }
+            openedAt = Date.now();
+          }
+        }
+        throw err;
+      } finally {
+        if (s === "half_open") trialInFlight = false;
+      }
+    },
+  };
+}
@@ -0,0 +1,248 @@
+// lib/mealPlan.js
+// 献立提案：プロフィール＋冷蔵庫の食材＋期間 → 構造化JSONの献立
+import admin from "firebase-admin";
+import { complete } from "./llm/index.js";
+import { resolveTaskConfig } from "./llm/config.js";
+import { describeFamily } from "./family.js";
+import { buildAvoidList, guardGenerated, buildConflictNotice } from "./allergenGuard.js";
+
+export const SPANS = {
+  tonight: { label: "今夜", days: 1 },
+  "3days": { label: "3日分", days: 3 },
+  week: { label: "1週間", days: 7 },
+};
+
+function userConvRef(userId) {
+  return admin.firestore().collection("conversations").doc(String(userId));
+}
+
+export async function loadProfile(userId) {
+  const snap = await userConvRef(userId).collection("profile").doc("info").get();
+  return snap.exists ? snap.data() : {};
+}
+
+export async function loadIngredients(userId) {
+  const snap = await userConvRef(userId).collection("ingredients").doc("current").get();
+  return snap.exists ? snap.data().ingredients || [] : [];
+}
+
+// 「献立教えて」「3日分の献立」「1週間の献立」などから期間を推定
+export function detectMealPlanRequest(text) {
+  const t = (text || "").normalize("NFKC");
+  if (!/献立/.test(t)) return null;
+  if (!/(教えて|考えて|提案|作って|ちょうだい|お願い|決めて)/.test(t)) return null;
+  if (/(1週間|一週間|7日|週間)/.test(t)) return "week";
+  if (/(3日|三日)/.test(t)) return "3days";
+  return "tonight";
+}
+
+function describeProfile(profile) {
+  const rows = [
+    ["家族（年齢は今日時点）", describeFamily(profile.family)],
+    ["家族構成", profile.householdSize],
+    ["アレルギー", profile.allergies],
+    ["食事制限・苦手な食材", profile.dietaryRestrictions],
+    ["好きな料理ジャンル", profile.preferredCuisines],
+    ["料理スキル", profile.cookingSkill],
+  ].filter(([, v]) => v);
+  return rows.length ? rows.map(([k, v]) => `- ${k}: ${v}`).join("\n") : "（未登録）";
+}
+
+const toStrArray = (v) =>
+  Array.isArray(v) ? v.map((x) => (x || "").toString().trim()).filter(Boolean) : [];
+
+// 材料: { name, amount: 数値|null, unit, fromFridge }（「作った」で冷蔵庫から差し引くのに使う）
+// 量のない旧形式（ingredientsFromFridge / ingredientsToBuy だけ）の時はそこから作る
+export function sanitizeIngredients(x) {
+  const list = Array.isArray(x.ingredients)
+    ? x.ingredients
+    : [
+        ...toStrArray(x.ingredientsFromFridge).map((name) => ({ name, fromFridge: true })),
+        ...toStrArray(x.ingredientsToBuy).map((name) => ({ name, fromFridge: false })),
+      ];
+  return list
+    .filter((i) => i?.name)
+    .map((i) => {
+      const amount = Number(i.amount);
+      return {
+        name: i.name.toString().trim(),
+        amount: amount > 0 ? amount : null,
+        unit: (i.unit || "").toString().trim(),
+        fromFridge: i.fromFridge !== false,
+      };
+    });
+}
+
+function sanitizePlan(raw, spanKey) {
+  const days = (Array.isArray(raw?.days) ? raw.days : [])
+    .slice(0, SPANS[spanKey].days)
+    .map((d, i) => ({
+      label: (d?.label || `${i + 1}日目`).toString(),
+      dishes: (Array.isArray(d?.dishes) ? d.dishes : [])
+        .filter((x) => x?.name)
+        .map((x) => {
+          const ingredients = sanitizeIngredients(x);
+          return {
+            name: x.name.toString(),
+            cookingTimeMinutes: Number(x.cookingTimeMinutes) || null,
+            ingredients,
+            ingredientsFromFridge: ingredients.filter((i) => i.fromFridge).map((i) => i.name),
+            ingredientsToBuy: ingredients.filter((i) => !i.fromFridge).map((i) => i.name),
+            tips: (x.tips || "").toString(),
+          };
+        }),
+    }));
+
+  const uniq = (arr) => [...new Set(arr)];
+  const dishes = days.flatMap((d) => d.dishes);
+  return {
+    span: spanKey,
+    days,
+    ingredientsFromFridge: uniq(dishes.flatMap((x) => x.ingredientsFromFridge)),
+    ingredientsToBuy: uniq(dishes.flatMap((x) => x.ingredientsToBuy)),
+    totalCookingTimeMinutes:
+      dishes.reduce((sum, x) => sum + (x.cookingTimeMinutes || 0), 0) || null,
+  };
+}
+
+// アレルギー照合用に、料理名・食材・ポイントを1つのテキストにまとめる
+const planText = (plan) =>
+  plan.days
+    .flatMap((d) => d.dishes)
+    .map((x) => [x.name, ...x.ingredientsFromFridge, ...x.ingredientsToBuy, x.tips].join(" "))
+    .join("\n");
+
+// 日数に合わせた出力の上限と待ち時間（1週間分を 1日分と同じ上限で頼むと JSON が途中で切れる）
+function draftLimits(days) {
+  const { maxTokens, maxTokensPerDay = 0, timeoutMs, timeoutMsPerDay = 0 } = resolveTaskConfig("meal_plan");
+  return {
+    maxTokens: maxTokens + maxTokensPerDay * days,
+    ...(timeoutMs ? { timeoutMs: timeoutMs + timeoutMsPerDay * days } : {}),
+  };
+}
+
+/**
+ * 献立を生成して conversations/{uid}/meal_plans に保存
+ * @returns {Promise<object|null>} 保存した献立（id 付き）。出力が途中で切れるなどして使えなければ null
+ */
+export async function generateMealPlan({ userId, span = "tonight" }) {
+  const spanKey = SPANS[span] ? span : "tonight";
+  const { label, days } = SPANS[spanKey];
+  const [profile, ingredients] = await Promise.all([
+    loadProfile(userId),
+    loadIngredients(userId),
+  ]);
+
+  const fridge = ingredients.length
+    ? ingredients.map((i) => `- ${i.name}${i.quantity ? `（${i.quantity}）` : ""}`).join("\n")
+    : "（登録なし）";
+
+  // avoidPrompt: アレルギーの食材が混ざった時の作り直し用の追加指示
+  // JSON が読めない・1日分も無い時は null
+  const draft = async (avoidPrompt) => {
+    const { text } = await complete({
+      task: "meal_plan",
+      json: true,
+      overrides: draftLimits(days),
+      messages: [
+        {
+          role: "system",
+          content:
+            "あなたは子育て家庭向けの献立プランナーです。家族の情報と冷蔵庫の食材をもとに、手軽で現実的な夕食の献立を作ります。" +
+            "アレルギーや苦手な食材は絶対に使わないでください。" +
+            "子どもの年齢・月齢がわかる場合は、離乳食・幼児食の段階に合わせた取り分け方やかたさ、量の目安を tips に入れてください。" +
+            "冷蔵庫の食材をできるだけ使い切り、足りないものだけを買い足しにします。" +
+            "材料には家族分の分量を数値と単位（g, ml, 個, 本, パック, 枚, 玉 など）で入れ、冷蔵庫の食材は冷蔵庫のリストと同じ名前にしてください。調味料など量を決めにくいものは amount を null にします。" +
+            '出力はJSONのみ: {"days":[{"label":"1日目","dishes":[{"name":"料理名","cookingTimeMinutes":20,"ingredients":[{"name":"鶏もも肉","amount":300,"unit":"g","fromFridge":true},{"name":"しょうが","amount":1,"unit":"かけ","fromFridge":false}],"tips":"作り方のポイント1文"}]}]}',
+        },
+        ...(avoidPrompt ? [{ role: "system", content: avoidPrompt }] : []),
+        {
+          role: "user",
+          content: `【期間】${label}（${days}日分、1日あたり主菜＋副菜など1〜3品）\n\n【家族のプロフィール】\n${describeProfile(profile)}\n\n【冷蔵庫の食材】\n${fridge}`,
+        },
+      ],
+    });
+
+    const raw = text || "{}";
+    let parsed = {};
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      console.warn("⚠️ 献立JSONのパース失敗:", raw.slice(0, 200));
+    }
+    const plan = sanitizePlan(parsed, spanKey);
+    return plan.days.length ? plan : null;
+  };
+
+  const first = await draft();
+  if (!first) {
+    console.warn(`⚠️ 献立を作れませんでした: userId=${userId}, span=${spanKey}`);
+    return null;
+  }
+
+  // アレルギー・苦手な食材が入っていたら1回だけ作り直す。それでも残れば注意書きを付ける
+  const { result: plan, conflicts } = await guardGenerated({
+    userId,
+    source: "meal_plan",
+    avoidList: buildAvoidList(profile),
+    first,
+    toText: planText,
+    regenerate: async (avoidPrompt) => {
+      const again = await draft(avoidPrompt);
+      if (!again) throw new Error("regenerated meal plan was unreadable"); // 最初の献立に注意書きを付けて返す
+      return again;
+    },
+  });
+  if (conflicts.length) plan.allergenNotice = buildConflictNotice(conflicts);
+
+  const ref = await userConvRef(userId).collection("meal_plans").add({
+    ...plan,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`🍳 献立保存: userId=${userId}, span=${spanKey}, id=${ref.id}`);
+  return { id: ref.id, ...plan };
+}
+
+const toISO = (v) => (v?.toDate ? v.toDate().toISOString() : null);
+
+export async function listMealPlans(userId, { limit = 10 } = {}) {
+  const snap = await userConvRef(userId)
+    .collection("meal_plans")
+    .orderBy("created_at", "desc")
+    .limit(limit)
+    .get();
+  return snap.docs.map((d) => ({
+    id: d.id,
+    ...d.data(),
+    created_at: toISO(d.data().created_at),
+  }));
+}
+
+export async function getMealPlan(userId, planId) {
+  const snap = await userConvRef(userId).collection("meal_plans").doc(planId).get();
+  if (!snap.exists) return null;
+  return { id: snap.id, ...snap.data(), created_at: toISO(snap.data().created_at) };
+}
+
+// LINE向けの読みやすいテキスト
+export function formatMealPlanForLine(plan) {
+  const label = SPANS[plan.span]?.label || "";
+  const lines = [`${label}の献立を考えたよ🍳`];
+  for (const day of plan.days || []) {
+    if ((plan.days || []).length > 1) lines.push("", `【${day.label}】`);
+    for (const dish of day.dishes) {
+      lines.push(
+        `・${dish.name}${dish.cookingTimeMinutes ? `（約${dish.cookingTimeMinutes}分）` : ""}`
+      );
+      if (dish.tips) lines.push(`  ${dish.tips}`);
+    }
+  }
+  if (plan.ingredientsFromFridge?.length) {
+    lines.push("", `🧊 冷蔵庫から: ${plan.ingredientsFromFridge.join("、")}`);
+  }
+  if (plan.ingredientsToBuy?.length) {
+    lines.push(`🛒 買い足し: ${plan.ingredientsToBuy.join("、")}`);
+  }
+  if (plan.allergenNotice) lines.push("", plan.allergenNotice);
+  return lines.join("\n").slice(0, 4900); // LINEのテキスト上限 5000 文字
+}
@@ -0,0 +1,118 @@
+// lib/memory.js
+// 会話の記憶：直近のやりとり＋古い会話の要約を、トークン予算内でプロンプトに載せる
+import admin from "firebase-admin";
+import { complete } from "./llm/index.js";
+
+const RECENT_FETCH_LIMIT = 30; // 直近として読む最大件数
+const HISTORY_TOKEN_BUDGET = 1500; // 履歴（要約含む）に使う目安トークン
+const KEEP_RECENT = 12; // 要約せずに残す直近メッセージ数
+const SUMMARY_BATCH = 10; // これだけ溜まったら要約を更新
+const SUMMARY_MAX_CHARS = 800; // 要約の長さ上限（文字）
+
+// ざっくりトークン見積もり（日本語は1文字≒1トークン、英数字は4文字≒1トークン）
+export function estimateTokens(text) {
+  const s = (text || "").toString();
+  const ascii = (s.match(/[\x00-\x7F]/g) || []).length;
+  return Math.ceil(ascii / 4) + (s.length - ascii);
+}
+
+function conversationRef(userId) {
+  return admin.firestore().collection("conversations").doc(String(userId));
+}
+
+/**
+ * プロンプト用の履歴を組み立てる
+ * @returns {Promise<{ summary: string|null, messages: {role:string, content:string}[] }>}
+ */
+export async function loadConversationContext(
+  userId,
+  { tokenBudget = HISTORY_TOKEN_BUDGET } = {}
+) {
+  const convRef = conversationRef(userId);
+  const [convSnap, recentSnap] = await Promise.all([
+    convRef.get(),
+    convRef
+      .collection("messages")
+      .orderBy("timestamp", "desc")
+      .limit(RECENT_FETCH_LIMIT)
+      .get(),
+  ]);
+
+  const conv = convSnap.exists ? convSnap.data() : {};
+  const summary = conv.summary || null;
+  const summarizedUntil = conv.summarizedUntil?.toMillis
+    ? conv.summarizedUntil.toMillis()
+    : 0;
+
+  let remaining = tokenBudget - (summary ? estimateTokens(summary) : 0);
+  const messages = [];
+  // 新しい順に見て、予算に収まるところまで採用
+  for (const doc of recentSnap.docs) {
+    const data = doc.data();
+    const at = data.timestamp?.toMillis ? data.timestamp.toMillis() : 0;
+    if (at && at <= summarizedUntil) break; // 要約済み
+    if (!["user", "assistant"].includes(data.role) || !data.content) continue;
+    const cost = estimateTokens(data.content);
+    if (cost > remaining) break;
+    remaining -= cost;
+    messages.push({ role: data.role, content: data.content });
+  }
+  messages.reverse();
+
+  return { summary, messages };
+}
+
+/**
+ * 要約されていない古いメッセージが溜まっていたら要約を更新する
+ * 返信後に非同期で呼ぶ想定（失敗しても会話は止めない）
+ */
+export async function refreshSummaryIfNeeded(userId) {
+  const convRef = conversationRef(userId);
+  const convSnap = await convRef.get();
+  const conv = convSnap.exists ? convSnap.data() : {};
+
+  let query = convRef.collection("messages").orderBy("timestamp", "asc");
+  if (conv.summarizedUntil) {
+    query = query.where("timestamp", ">", conv.summarizedUntil);
+  }
+  const snap = await query.limit(KEEP_RECENT + SUMMARY_BATCH * 3).get();
+  if (snap.size < KEEP_RECENT + SUMMARY_BATCH) return false;
+
+  const targets = snap.docs.slice(0, snap.size - KEEP_RECENT);
+  const lastTs = targets[targets.length - 1].data().timestamp;
+  if (!lastTs) return false;
+
+  const transcript = targets
+    .map((d) => d.data())
+    .filter((m) => m.content)
+    .map((m) => `${m.role === "user" ? "ママ" : "あいこ"}: ${m.content}`)
+    .join("\n");
+
+  const { text: summary } = await complete({
+    task: "summary",
+    messages: [
+      {
+        role: "system",
+        content:
+          `あなたは会話ログの要約係です。育児中のママと「あいこ」の会話から、次回以降の会話に役立つ事実（家族構成、子どもの様子、悩み、好み、約束したこと）を日本語の箇条書きで${SUMMARY_MAX_CHARS}文字以内にまとめてください。` +
+          "既存の要約がある場合は内容を引き継ぎ、古くなった情報は新しい情報で上書きしてください。",
+      },
+      {
+        role: "user",
+        content: `【既存の要約】\n${conv.summary || "（なし）"}\n\n【新しい会話】\n${transcript}`,
+      },
+    ],
+  });
+  if (!summary) return false;
+
+  await convRef.set(
+    {
+      summary: summary.slice(0, SUMMARY_MAX_CHARS * 2),
+      summarizedUntil: lastTs,
+      summaryUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+  console.log(`🧠 会話要約更新: userId=${userId}, ${targets.length}件`);
+  return true;
+}
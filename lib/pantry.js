@@ -0,0 +1,534 @@
+// lib/pantry.js
+// 「作った！」で献立の材料を冷蔵庫（ingredients/current）から差し引く
+// 献立に無い料理は、あいこが会話で提案したレシピから材料を書き出して conversations/{uid}/chat_recipes に置く
+// 単位をそろえて（200g と 0.2kg、大さじ1 と 15ml など）数量を引き、なくなったものは外す
+// 差し引いた内容は conversations/{uid}/cook_logs に残し、マイページや LINE から取り消せる
+import admin from "firebase-admin";
+import { complete } from "./llm/index.js";
+import { sanitizeIngredients } from "./mealPlan.js";
+
+const norm = (s) => (s || "").toString().normalize("NFKC").trim().toLowerCase();
+
+/*
+ * 単位の表記ゆれ → 基準の単位（factor 倍して基準に直す）
+ * 重さは g、液体は ml、それ以外は数える単位ごと
+ */
+const UNITS = [
+  { re: /^(kg|キロ|キログラム)$/i, unit: "g", factor: 1000 },
+  { re: /^(g|グラム)$/i, unit: "g", factor: 1 },
+  { re: /^(l|リットル)$/i, unit: "ml", factor: 1000 },
+  { re: /^(ml|cc|ミリリットル)$/i, unit: "ml", factor: 1 },
+  { re: /^(大さじ|おおさじ)$/, unit: "ml", factor: 15 },
+  { re: /^(小さじ|こさじ)$/, unit: "ml", factor: 5 },
+  { re: /^(カップ)$/, unit: "ml", factor: 200 },
+  { re: /^(個|こ|コ|つ|ケ|ヶ)$/, unit: "個", factor: 1 },
+  { re: /^(パック|pack|p)$/i, unit: "パック", factor: 1 },
+  { re: /^(本)$/, unit: "本", factor: 1 },
+  { re: /^(枚)$/, unit: "枚", factor: 1 },
+  { re: /^(玉)$/, unit: "玉", factor: 1 },
+  { re: /^(袋)$/, unit: "袋", factor: 1 },
+  { re: /^(丁)$/, unit: "丁", factor: 1 },
+  { re: /^(束|わ)$/, unit: "束", factor: 1 },
+  { re: /^(株)$/, unit: "株", factor: 1 },
+  { re: /^(切れ|きれ)$/, unit: "切れ", factor: 1 },
+  { re: /^(房)$/, unit: "房", factor: 1 },
+  { re: /^(缶)$/, unit: "缶", factor: 1 },
+  { re: /^(尾|匹)$/, unit: "尾", factor: 1 },
+];
+
+export function normalizeUnit(raw = "") {
+  const u = String(raw).normalize("NFKC").trim();
+  if (!u) return { unit: "", factor: 1 };
+  const hit = UNITS.find((x) => x.re.test(u));
+  return hit ? { unit: hit.unit, factor: hit.factor } : { unit: u, factor: 1 };
+}
+
+// "1/2" "1と1/2" "1.5" "半分" → 数値
+function parseNumber(s) {
+  const t = String(s).trim();
+  if (/^半分?$/.test(t)) return 0.5;
+  let m = t.match(/^(\d+)と(\d+)\/(\d+)$/);
+  if (m) return Number(m[1]) + Number(m[2]) / Number(m[3]);
+  m = t.match(/^(\d+)\/(\d+)$/);
+  if (m) return Number(m[2]) ? Number(m[1]) / Number(m[2]) : null;
+  m = t.match(/^\d+(\.\d+)?$/);
+  return m ? Number(t) : null;
+}
+
+const NUM = "(\\d+と\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?|半分?)";
+
+/**
+ * 数量の文字列を基準の単位にそろえる
+ *   "200g" → {200, g} / "1/2玉" → {0.5, 玉} / "大さじ2" → {30, ml} / "少々" → null
+ * @returns {{ amount: number, unit: string }|null}
+ */
+export function parseQuantity(raw) {
+  const t = String(raw || "").normalize("NFKC").replace(/\s+/g, "").replace(/^(約|およそ)/, "");
+  if (!t) return null;
+  // 大さじ2・カップ1/2 のように単位が先に来る書き方
+  let m = t.match(new RegExp(`^(大さじ|小さじ|カップ)${NUM}$`));
+  if (m) {
+    const { unit, factor } = normalizeUnit(m[1]);
+    const n = parseNumber(m[2]);
+    return n === null ? null : { amount: n * factor, unit };
+  }
+  m = t.match(new RegExp(`^${NUM}(.*)$`));
+  if (!m) return null;
+  const n = parseNumber(m[1]);
+  if (n === null) return null;
+  const { unit, factor } = normalizeUnit(m[2]);
+  return { amount: n * factor, unit };
+}
+
+const FRACTIONS = { 0.25: "1/4", 0.5: "1/2", 0.75: "3/4" };
+
+export function formatQuantity({ amount, unit }) {
+  const rounded = Math.round(amount * 100) / 100;
+  const whole = Math.floor(rounded);
+  const frac = FRACTIONS[Math.round((rounded - whole) * 100) / 100];
+  const num = frac ? (whole ? `${whole}と${frac}` : frac) : String(rounded);
+  return `${num}${unit}`;
+}
+
+/**
+ * 冷蔵庫の数量から使った分を引く
+ * @param {string} have 冷蔵庫の quantity（"1パック" "300g" や空文字）
+ * @param {{ amount: number|null, unit: string }} used 献立の材料の量
+ * @returns {{ status: "removed"|"reduced"|"unchanged", quantity?: string, reason?: string }}
+ */
+export function subtractQuantity(have, used) {
+  if (!used || typeof used.amount !== "number" || !(used.amount > 0)) {
+    return { status: "unchanged", reason: "no_amount" }; // 「少々」「適量」などは引かない
+  }
+  const { unit, factor } = normalizeUnit(used.unit);
+  const usedAmount = used.amount * factor;
+
+  // 冷蔵庫側の量がわからない（「少し」や空欄）時は減らさずに残し、ユーザーに直してもらう
+  const current = parseQuantity(have);
+  if (!current) return { status: "unchanged", reason: "unknown_quantity" };
+  // 「3」と「2個」のように片方が数だけなら、数える単位どうしとして引く
+  const counted = (u) => u !== "g" && u !== "ml";
+  const sameUnit =
+    current.unit === unit || ((current.unit === "" || unit === "") && counted(current.unit) && counted(unit));
+  if (!sameUnit) return { status: "unchanged", reason: "unit_mismatch" };
+
+  const left = current.amount - usedAmount;
+  if (left <= 1e-9) return { status: "removed" };
+  return { status: "reduced", quantity: formatQuantity({ amount: left, unit: current.unit || unit }) };
+}
+
+// 献立の材料名と冷蔵庫の食材名を突き合わせる（「鶏もも肉」と「鶏もも」など）
+function findFridgeIndex(ingredients, name) {
+  const key = norm(name);
+  if (!key) return -1;
+  const exact = ingredients.findIndex((i) => norm(i.name) === key);
+  if (exact >= 0) return exact;
+  return ingredients.findIndex((i) => {
+    const n = norm(i.name);
+    return n.length >= 2 && key.length >= 2 && (n.includes(key) || key.includes(n));
+  });
+}
+
+/**
+ * 料理の材料を冷蔵庫のリストに当てはめる（書き込みはしない）
+ * @returns {{ next: object[], changes: Array<{ name: string, used: string, before: object, after: object|null }>, skipped: Array<{ name: string, reason: string }> }}
+ */
+export function deductIngredients(ingredients, dishIngredients) {
+  const next = [...ingredients];
+  const changes = [];
+  const skipped = [];
+  for (const ing of dishIngredients || []) {
+    if (ing.fromFridge === false) continue; // 買い足した分は冷蔵庫リストに無い
+    const idx = findFridgeIndex(next, ing.name);
+    if (idx < 0) continue;
+    const before = next[idx];
+    const result = subtractQuantity(before.quantity, ing);
+    const used = ing.amount ? formatQuantity({ amount: ing.amount, unit: ing.unit || "" }) : "";
+    if (result.status === "unchanged") {
+      skipped.push({ name: before.name, reason: result.reason });
+      continue;
+    }
+    const after = result.status === "removed" ? null : { ...before, quantity: result.quantity };
+    if (after) next[idx] = after;
+    else next.splice(idx, 1);
+    changes.push({ name: before.name, used, before, after });
+  }
+  return { next, changes, skipped };
+}
+
+/* ======================== Firestore ======================== */
+const convRef = (userId) => admin.firestore().collection("conversations").doc(String(userId));
+const fridgeRef = (userId) => convRef(userId).collection("ingredients").doc("current");
+const plansCol = (userId) => convRef(userId).collection("meal_plans");
+const logsCol = (userId) => convRef(userId).collection("cook_logs");
+const recipesCol = (userId) => convRef(userId).collection("chat_recipes");
+
+// 同じ料理を二重に引かないよう、献立・日・料理の組み合わせをそのまま ID にする
+const cookLogId = (planId, day, dish) => `${planId}_${day}_${dish}`;
+const recipeLogId = (recipeId) => `chat_${recipeId}`;
+const cookedKey = (day, dish) => `${day}_${dish}`;
+
+/**
+ * 「作った」を反映する（献立の料理は planId/day/dish、会話のレシピは recipeId で指定）
+ * @param {{ userId: string, planId?: string, day?: number, dish?: number, recipeId?: string, source: "postback"|"chat"|"mypage"|"n8n" }} opts
+ * @returns {Promise<{ ok: true, logId: string, dishName: string, changes: object[], skipped: object[] } | { ok: false, reason: "not_found"|"already_cooked" }>}
+ */
+export async function applyCooked({ userId, planId, day, dish, recipeId, source }) {
+  const db = admin.firestore();
+  const d = Number(day);
+  const i = Number(dish);
+  const recipeRef = recipeId ? recipesCol(userId).doc(String(recipeId)) : null;
+  const planRef = recipeRef ? null : plansCol(userId).doc(String(planId));
+  const logRef = logsCol(userId).doc(recipeRef ? recipeLogId(recipeId) : cookLogId(planId, d, i));
+
+  return db.runTransaction(async (tx) => {
+    const [targetSnap, fridgeSnap, logSnap] = await Promise.all([
+      tx.get(recipeRef || planRef),
+      tx.get(fridgeRef(userId)),
+      tx.get(logRef),
+    ]);
+    const target = !targetSnap.exists
+      ? null
+      : recipeRef
+        ? targetSnap.data()
+        : targetSnap.data().days?.[d]?.dishes?.[i];
+    if (!target) return { ok: false, reason: "not_found" };
+    if (logSnap.exists && !logSnap.data().undoneAt) return { ok: false, reason: "already_cooked" };
+
+    const ingredients = fridgeSnap.exists ? fridgeSnap.data().ingredients || [] : [];
+    const { next, changes, skipped } = deductIngredients(ingredients, target.ingredients);
+
+    if (changes.length) {
+      tx.set(
+        fridgeRef(userId),
+        { ingredients: next, updated_at: admin.firestore.FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+    }
+    tx.set(logRef, {
+      ...(recipeRef ? { recipeId: String(recipeId) } : { planId: String(planId), day: d, dish: i }),
+      dishName: target.name,
+      changes,
+      skipped,
+      source,
+      undoneAt: null,
+      at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (recipeRef) tx.set(recipeRef, { cookedLogId: logRef.id }, { merge: true });
+    else tx.set(planRef, { cooked: { [cookedKey(d, i)]: logRef.id } }, { merge: true });
+    return { ok: true, logId: logRef.id, dishName: target.name, changes, skipped };
+  });
+}
+
+/**
+ * 「作った」を取り消して、差し引いた食材を戻す
+ * その後さらに変わった食材（手で直した・別の料理で使った）はそのままにする
+ * @returns {Promise<{ ok: boolean, reason?: string, restored?: string[] }>}
+ */
+export async function undoCooked(userId, logId) {
+  const db = admin.firestore();
+  const logRef = logsCol(userId).doc(String(logId));
+
+  const result = await db.runTransaction(async (tx) => {
+    const [logSnap, fridgeSnap] = await Promise.all([tx.get(logRef), tx.get(fridgeRef(userId))]);
+    if (!logSnap.exists) return { ok: false, reason: "not_found" };
+    const log = logSnap.data();
+    if (log.undoneAt) return { ok: false, reason: "already_undone" };
+
+    const ingredients = [...(fridgeSnap.exists ? fridgeSnap.data().ingredients || [] : [])];
+    const restored = [];
+    for (const change of log.changes || []) {
+      const idx = ingredients.findIndex((x) => norm(x.name) === norm(change.name));
+      if (change.after === null) {
+        if (idx >= 0) continue; // また買い足されている
+        ingredients.push(change.before);
+      } else {
+        if (idx < 0 || ingredients[idx].quantity !== change.after.quantity) continue;
+        ingredients[idx] = change.before;
+      }
+      restored.push(change.name);
+    }
+
+    tx.set(
+      fridgeRef(userId),
+      { ingredients, updated_at: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    tx.set(logRef, { undoneAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    if (log.recipeId) {
+      tx.set(recipesCol(userId).doc(log.recipeId), { cookedLogId: admin.firestore.FieldValue.delete() }, { merge: true });
+    } else {
+      tx.set(
+        plansCol(userId).doc(log.planId),
+        { cooked: { [cookedKey(log.day, log.dish)]: admin.firestore.FieldValue.delete() } },
+        { merge: true }
+      );
+    }
+    return { ok: true, restored };
+  });
+  if (result.ok) console.log(`↩️ cook undone: user=${userId}, log=${logId}, restored=${result.restored.join(",")}`);
+  return result;
+}
+
+export async function listCookLogs(userId, { limit = 10 } = {}) {
+  const snap = await logsCol(userId).orderBy("at", "desc").limit(limit).get();
+  return snap.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      planId: data.planId || null,
+      recipeId: data.recipeId || null,
+      dishName: data.dishName,
+      source: data.source,
+      changes: (data.changes || []).map((c) => ({
+        name: c.name,
+        used: c.used,
+        from: c.before?.quantity || "",
+        to: c.after ? c.after.quantity || "" : null,
+      })),
+      skipped: data.skipped || [],
+      undoneAt: data.undoneAt?.toDate ? data.undoneAt.toDate().toISOString() : null,
+      at: data.at?.toDate ? data.at.toDate().toISOString() : null,
+    };
+  });
+}
+
+/* ======================== 会話から ======================== */
+const COOKED_RE = /(作った|つくった|作りました|作ってみた|作れた)/;
+const NOT_COOKED_RE = /(作ってない|作らなかった|作ったこと|作った方|作ったほう|作ったら|作れたら|作れなかった)/;
+// 「作った」の報告だけの文に含まれてよい言葉。これ以外が残る文（「カレー作ったけど食べてくれない」など）は会話として扱う
+const REPORT_WORDS_RE =
+  /(作った|つくった|作りました|作ってみた|作れた|献立|料理|今日|今夜|昨日|さっき|やっと|ついに|ちゃんと|それ|これ|あれ|やつ|の|を|も|は|よ|ね|ん|ー)/g;
+const PUNCT_RE = /[\s、。,.!?…・~〜\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu;
+const MAX_REPORT_CHARS = 40;
+
+export function detectCookedReport(text) {
+  const t = (text || "").normalize("NFKC");
+  return t.length <= MAX_REPORT_CHARS && COOKED_RE.test(t) && !NOT_COOKED_RE.test(t);
+}
+
+// 料理名（あれば）と報告の言葉を除いて何も残らないか
+function isShortReport(text, dishNames = []) {
+  let rest = norm(text).replace(PUNCT_RE, "");
+  for (const name of dishNames) rest = rest.replace(name, "");
+  return rest.replace(REPORT_WORDS_RE, "") === "";
+}
+
+const RECENT_PLAN_DAYS = 7;
+
+/**
+ * 「〇〇作った」「それ作った！」がどの料理かを、最近の献立から探す
+ * 報告だけの短い文の時だけ候補を返す（反映は確認のボタンを押してから）
+ * @returns {Promise<Array<{ planId: string, day: number, dish: number, name: string }>|null>}
+ */
+export async function resolveCookedDish(userId, text) {
+  if (!detectCookedReport(text)) return null;
+  const since = admin.firestore.Timestamp.fromMillis(Date.now() - RECENT_PLAN_DAYS * 86400000);
+  const snap = await plansCol(userId)
+    .where("created_at", ">=", since)
+    .orderBy("created_at", "desc")
+    .limit(3)
+    .get();
+  if (snap.empty) return null;
+
+  const t = norm(text);
+  const dishesOf = (doc) =>
+    (doc.data().days || []).flatMap((d, day) =>
+      (d.dishes || []).map((x, dish) => ({ planId: doc.id, day, dish, name: x.name, cooked: !!doc.data().cooked?.[cookedKey(day, dish)] }))
+    );
+  const candidate = ({ cooked, ...x }) => x;
+
+  // 料理名が書いてあればそれ（かっこ書きを外した名前でも探す）
+  for (const doc of snap.docs) {
+    for (const x of dishesOf(doc)) {
+      const names = [norm(x.name), norm(x.name.replace(/[（(].*?[)）]/g, ""))].filter((n) => n.length >= 2);
+      const name = names.find((n) => t.includes(n));
+      if (name) return isShortReport(text, [name]) ? [candidate(x)] : null;
+    }
+  }
+
+  // 「それ作った」：いちばん新しい献立のまだ作っていない料理から
+  if (!isShortReport(text)) return null;
+  const candidates = dishesOf(snap.docs[0]).filter((x) => !x.cooked);
+  return candidates.length ? candidates.slice(0, 12).map(candidate) : null;
+}
+
+/* ======================== 会話で提案したレシピ ======================== */
+const RECIPE_LOOKBACK_MESSAGES = 20;
+const RECIPE_LOOKBACK_MS = 3 * 86400000;
+const REPORT_PREFIX_RE = /^((今日|今夜|昨日|さっき|やっと|ついに)(は|も)?)+/;
+const DEICTIC_RE = /^(それ|これ|あれ|やつ|料理|献立|ごはん|ご飯)$/;
+
+/**
+ * 「今日は生姜焼き作った！」から料理名を取り出す（報告だけの短い文の時だけ）
+ * @returns {string|null} 正規化した料理名
+ */
+export function dishNameFromReport(text) {
+  if (!detectCookedReport(text)) return null;
+  const t = norm(text).replace(PUNCT_RE, "");
+  const m = t.match(COOKED_RE);
+  const name = t.slice(0, m.index).replace(REPORT_PREFIX_RE, "").replace(/(を|も|は)$/, "");
+  if ([...name].length < 2 || DEICTIC_RE.test(name)) return null;
+  return isShortReport(text, [name]) ? name : null;
+}
+
+/**
+ * 最近のあいこの返信から、その料理を話したメッセージを探す（LLM は使わない）
+ * @returns {Promise<{ dishName: string, messageId: string, content: string }|null>}
+ */
+export async function findChatRecipeMessage(userId, text) {
+  const dishName = dishNameFromReport(text);
+  if (!dishName) return null;
+  const snap = await convRef(userId)
+    .collection("messages")
+    .orderBy("timestamp", "desc")
+    .limit(RECIPE_LOOKBACK_MESSAGES)
+    .get();
+  const since = Date.now() - RECIPE_LOOKBACK_MS;
+  const doc = snap.docs.find((x) => {
+    const data = x.data();
+    const at = data.timestamp?.toMillis ? data.timestamp.toMillis() : 0;
+    return data.role === "assistant" && at >= since && norm(data.content).includes(dishName);
+  });
+  return doc ? { dishName, messageId: doc.id, content: doc.data().content } : null;
+}
+
+// recipe_extract の出力 → 献立と同じ形の材料リスト
+export function parseRecipeIngredients(raw) {
+  let parsed = {};
+  try {
+    parsed = JSON.parse(raw || "{}");
+  } catch {
+    console.warn("⚠️ レシピ材料JSONのパース失敗:", String(raw).slice(0, 200));
+  }
+  return sanitizeIngredients({ ingredients: Array.isArray(parsed.ingredients) ? parsed.ingredients : [] });
+}
+
+/**
+ * 会話のメッセージから材料を書き出して chat_recipes に保存する
+ * @returns {Promise<{ recipeId: string, name: string, ingredients: object[] }|null>} 材料が取れなければ null
+ */
+export async function saveChatRecipe(userId, { dishName, messageId, content }, { plan } = {}) {
+  const { text } = await complete({
+    task: "recipe_extract",
+    plan,
+    json: true,
+    messages: [
+      {
+        role: "system",
+        content:
+          "あいこが会話で提案した料理の材料を、冷蔵庫のリストから差し引けるように書き出します。" +
+          "メッセージに書かれた材料と分量を優先し、分量が書かれていなければ家族分の一般的な量にしてください。調味料など量を決めにくいものは amount を null にします。" +
+          '出力はJSONのみ: {"ingredients":[{"name":"豚ロース","amount":300,"unit":"g"}]}',
+      },
+      { role: "user", content: `【料理】${dishName}\n\n【あいこのメッセージ】\n${content}` },
+    ],
+  });
+  const ingredients = parseRecipeIngredients(text);
+  if (!ingredients.length) return null;
+  const ref = await recipesCol(userId).add({
+    name: dishName,
+    ingredients,
+    messageId,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`📝 会話レシピ保存: userId=${userId}, dish=${dishName}, id=${ref.id}`);
+  return { recipeId: ref.id, name: dishName, ingredients };
+}
+
+/* ======================== LINE メッセージ ======================== */
+const clip = (s, n) => ([...s].length > n ? `${[...s].slice(0, n - 1).join("")}…` : s);
+
+function cookedAction(c, label, displayText = `${c.name}作った！`) {
+  return {
+    type: "action",
+    action: {
+      type: "postback",
+      label: clip(label, 20),
+      data: c.recipeId ? `action=cooked&recipe=${c.recipeId}` : `action=cooked&plan=${c.planId}&day=${c.day}&dish=${c.dish}`,
+      displayText,
+    },
+  };
+}
+
+// 献立メッセージに付ける「作った」ボタン（クイックリプライは13個まで）
+export function buildCookedQuickReply(plan) {
+  const items = (plan.days || [])
+    .flatMap((d, day) => (d.dishes || []).map((x, dish) => ({ planId: plan.id, day, dish, name: x.name })))
+    .slice(0, 13)
+    .map((c) => cookedAction(c, `${c.name}作った`));
+  return items.length ? { items } : undefined;
+}
+
+const COOK_CANCEL_ACTION = {
+  type: "action",
+  action: { type: "postback", label: "そのままでいい", data: "action=cook_cancel", displayText: "そのままでいいよ" },
+};
+
+// 会話からの「作った」は、冷蔵庫のリストを変える前に確認する
+// 会話のレシピ（recipeId あり）は書き出した材料も見せる
+export function buildCookedConfirmMessage(candidates) {
+  if (candidates.length === 1) {
+    const [c] = candidates;
+    const used = c.recipeId ? `（${c.ingredients.map((x) => x.name).join("・")}）` : "";
+    return {
+      type: "text",
+      text: `「${c.name}」作ったんだね、おつかれさま👏 冷蔵庫のリストから使った分${used}を減らしておく？`,
+      quickReply: { items: [cookedAction(c, "減らしておいて", "減らしておいて"), COOK_CANCEL_ACTION] },
+    };
+  }
+  return {
+    type: "text",
+    text: "おつかれさま〜！どれを作ったの？🍳 選んでくれたら冷蔵庫のリストから使った分を減らしておくね。",
+    quickReply: { items: [...candidates.map((c) => cookedAction(c, c.name)), COOK_CANCEL_ACTION] },
+  };
+}
+
+export function buildCookedReply(result) {
+  if (!result.ok) {
+    return {
+      type: "text",
+      text:
+        result.reason === "already_cooked"
+          ? "その料理はもう冷蔵庫のリストに反映してあるよ👌"
+          : "ごめんね、その献立が見つからなかった…🙏",
+    };
+  }
+  const lines = [`「${result.dishName}」おつかれさま！えらい👏`];
+  if (result.changes.length) {
+    lines.push("冷蔵庫のリストから使った分を減らしておいたよ🧊");
+    for (const c of result.changes) {
+      lines.push(`・${c.name}${c.after ? `：${c.before.quantity || "?"} → ${c.after.quantity}` : "：使い切り"}`);
+    }
+  } else {
+    lines.push("冷蔵庫のリストで減らすものはなかったよ。");
+  }
+  const skippedNames = (reason) => result.skipped.filter((s) => s.reason === reason).map((s) => s.name);
+  if (skippedNames("unit_mismatch").length) {
+    lines.push(`※ ${skippedNames("unit_mismatch").join("・")}は量の単位がちがったのでそのままにしたよ。マイページで直してね。`);
+  }
+  if (skippedNames("unknown_quantity").length) {
+    lines.push(`※ ${skippedNames("unknown_quantity").join("・")}は冷蔵庫の量がわからなかったのでそのままにしたよ。使い切っていたらマイページで消してね。`);
+  }
+  return {
+    type: "text",
+    text: lines.join("\n"),
+    ...(result.changes.length
+      ? {
+          quickReply: {
+            items: [
+              {
+                type: "action",
+                action: {
+                  type: "postback",
+                  label: "まちがい・取り消す",
+                  data: `action=cook_undo&log=${result.logId}`,
+                  displayText: "さっきの反映を取り消して",
+                },
+              },
+            ],
+          },
+        }
+      : {}),
+  };
+}
@@ -0,0 +1,129 @@
+// lib/plans.js
+// プランカタログ：月額/年額・無料体験・プロモーションコード可否
+// 既定値は環境変数から。Firestore の config/plans があればそちらで上書きする
+import admin from "firebase-admin";
+
+const CACHE_MS = 5 * 60 * 1000;
+let cache = { at: 0, plans: null };
+
+function defaultPlans() {
+  const trialDays = Number(process.env.STRIPE_TRIAL_DAYS || 0);
+  return {
+    monthly: {
+      key: "monthly",
+      name: "プレミアム（月額）",
+      priceId: process.env.STRIPE_PRICE_ID || "",
+      interval: "month",
+      displayPrice: process.env.PLAN_MONTHLY_DISPLAY_PRICE || "",
+      trialDays,
+      allowPromotionCodes: true,
+      isDefault: true,
+      order: 1,
+    },
+    annual: {
+      key: "annual",
+      name: "プレミアム（年額）",
+      priceId: process.env.STRIPE_PRICE_ID_ANNUAL || "",
+      interval: "year",
+      displayPrice: process.env.PLAN_ANNUAL_DISPLAY_PRICE || "",
+      trialDays,
+      allowPromotionCodes: true,
+      isDefault: false,
+      order: 2,
+    },
+  };
+}
+
+/**
+ * 有効なプラン（priceId があり、active: false でないもの）を order 順に返す
+ * config/plans: { plans: { monthly: { trialDays: 7, ... }, campaign: { priceId, ... } } }
+ */
+export async function getPlanCatalog() {
+  if (cache.plans && Date.now() - cache.at < CACHE_MS) return cache.plans;
+
+  const plans = defaultPlans();
+  try {
+    const snap = await admin.firestore().collection("config").doc("plans").get();
+    const overrides = snap.exists ? snap.data().plans || {} : {};
+    for (const [key, value] of Object.entries(overrides)) {
+      plans[key] = { ...(plans[key] || {}), ...value, key };
+    }
+  } catch (e) {
+    console.warn("⚠️ config/plans 読み込み失敗（既定値を使用）:", e.message);
+  }
+
+  const active = Object.values(plans)
+    .filter((p) => p.priceId && p.active !== false)
+    .sort((a, b) => (a.order || 99) - (b.order || 99));
+  cache = { at: Date.now(), plans: active };
+  return active;
+}
+
+export async function getPlan(key) {
+  const plans = await getPlanCatalog();
+  if (!key) return plans.find((p) => p.isDefault) || plans[0] || null;
+  return plans.find((p) => p.key === key) || null;
+}
+
+export async function planKeyFromPriceId(priceId) {
+  if (!priceId) return null;
+  const plans = await getPlanCatalog();
+  return plans.find((p) => p.priceId === priceId)?.key || null;
+}
+
+// pay.html に出す項目（priceId は出さない）
+export function toPublicPlan(p) {
+  return {
+    key: p.key,
+    name: p.name,
+    interval: p.interval,
+    displayPrice: p.displayPrice || "",
+    trialDays: p.trialDays || 0,
+    allowPromotionCodes: !!p.allowPromotionCodes,
+    isDefault: !!p.isDefault,
+  };
+}
+
+/**
+ * プロモコードを Stripe の promotion code に解決する
+ * コードを受け付けないプラン・見つからない（無効な）コードはエラーにして、定価のまま進めない
+ * @returns {Promise<{ ok: true, promotionCodeId: string|null } | { ok: false, error: "promo_code_not_allowed"|"invalid_promo_code" }>}
+ */
+export async function resolvePromoCode({ stripe, plan, promoCode }) {
+  if (!promoCode) return { ok: true, promotionCodeId: null };
+  if (!plan.allowPromotionCodes) return { ok: false, error: "promo_code_not_allowed" };
+  const found = await stripe.promotionCodes.list({ code: String(promoCode), active: true, limit: 1 });
+  if (!found.data[0]) {
+    console.warn(`⚠️ promotion code not found: ${promoCode}`);
+    return { ok: false, error: "invalid_promo_code" };
+  }
+  return { ok: true, promotionCodeId: found.data[0].id };
+}
+
+/**
+ * Checkout Session の作成パラメータ
+ * 無料体験は一度だけ（users.trialUsed）。プロモコードは resolvePromoCode で解決済みのものを適用、なければ入力欄を出す
+ */
+export function buildCheckoutParams({ plan, userId, userData = {}, promotionCodeId = null, base }) {
+  const trialDays = !userData.trialUsed && plan.trialDays > 0 ? plan.trialDays : 0;
+  const discounts = promotionCodeId ? [{ promotion_code: promotionCodeId }] : null;
+
+  const metadata = { userId, planKey: plan.key };
+  return {
+    mode: "subscription",
+    line_items: [{ price: plan.priceId, quantity: 1 }],
+    success_url: `${base}/success.html?userId=${encodeURIComponent(userId)}`,
+    cancel_url: `${base}/cancel.html?userId=${encodeURIComponent(userId)}`,
+    metadata,
+    subscription_data: {
+      metadata,
+      ...(trialDays ? { trial_period_days: trialDays } : {}),
+    },
+    // discounts と allow_promotion_codes は同時に指定できない
+    ...(discounts
+      ? { discounts }
+      : plan.allowPromotionCodes
+        ? { allow_promotion_codes: true }
+        : {}),
+  };
+}
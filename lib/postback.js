@@ -0,0 +1,32 @@
+// lib/postback.js
+// postback（リッチメニュー・クイックリプライのボタン）の振り分け
+// data は "action=show_usage&foo=bar" の形式
+/**
+ * @param {string} data
+ * @returns {{ action: string|null, params: Record<string, string> }}
+ */
+export function parsePostback(data = "") {
+  const params = Object.fromEntries(new URLSearchParams(String(data)));
+  const { action = null, ...rest } = params;
+  return { action, params: rest };
+}
+
+/**
+ * action 名 → ハンドラ の対応表からディスパッチャーを作る
+ * ハンドラは (event, params) を受け取る。知らない action は onUnknown へ
+ * @param {Record<string, (event: object, params: object) => Promise<void>>} handlers
+ * @param {{ onUnknown?: (event: object, action: string|null) => Promise<void> }} [opts]
+ */
+export function createPostbackDispatcher(handlers, { onUnknown } = {}) {
+  return async function dispatchPostback(event) {
+    const { action, params } = parsePostback(event.postback?.data);
+    const handler = action && Object.hasOwn(handlers, action) ? handlers[action] : null;
+    if (!handler) {
+      console.warn(`⚠️ 未対応の postback: action=${action}`);
+      if (onUnknown) await onUnknown(event, action);
+      return;
+    }
+    console.log(`🔘 postback: action=${action}, user=${event.source?.userId}`);
+    await handler(event, { ...params, ...(event.postback?.params || {}) });
+  };
+}
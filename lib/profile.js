@@ -0,0 +1,287 @@
+// lib/profile.js
+// プロフィール（conversations/{uid}/profile/info）の保存と変更履歴・取り消し
+// マイページ・n8n・会話からの提案、どこから保存してもここを通す
+// 会話中の「うち卵アレルギーの子がいて…」のような話から項目を拾い、確認してから保存する
+import admin from "firebase-admin";
+import { complete } from "./llm/index.js";
+import { reserveQuota, refundQuota } from "./quota.js";
+
+export const PROFILE_FIELDS = {
+  householdSize: { label: "家族構成", list: false },
+  allergies: { label: "アレルギー", list: true },
+  dietaryRestrictions: { label: "食事制限・苦手な食材", list: true },
+  preferredCuisines: { label: "好きな料理ジャンル", list: true },
+  cookingSkill: { label: "料理スキル", list: false, values: ["初心者", "中級", "上級"] },
+};
+
+const PROPOSAL_TTL_MS = 24 * 60 * 60 * 1000;
+const SKIP_KEYS = new Set(["created_at", "updated_at"]);
+
+const convRef = (userId) => admin.firestore().collection("conversations").doc(String(userId));
+const profileRef = (userId) => convRef(userId).collection("profile").doc("info");
+const changesCol = (userId) => convRef(userId).collection("profile_changes");
+const proposalsCol = (userId) => convRef(userId).collection("profile_proposals");
+
+// 空文字と未設定は同じ扱い（マイページは空欄も "" で送ってくる）
+const norm = (v) => (v === "" || v === undefined ? null : v);
+const sameValue = (a, b) => JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+
+export async function getProfile(userId) {
+  const snap = await profileRef(userId).get();
+  return snap.exists ? snap.data() : {};
+}
+
+/**
+ * プロフィールをマージ保存し、変わった項目を profile_changes に残す
+ * 値に null を渡した項目は削除する
+ * @param {object} fields
+ * @param {{ source: "mypage"|"n8n"|"chat"|"undo", meta?: object }} opts
+ * @returns {Promise<{ changeId: string|null, changed: string[] }>}
+ */
+export async function saveProfile(userId, fields, { source, meta = {} }) {
+  const db = admin.firestore();
+  const ref = profileRef(userId);
+  const changeRef = changesCol(userId).doc();
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const current = snap.exists ? snap.data() : {};
+
+    const before = {};
+    const after = {};
+    const update = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (SKIP_KEYS.has(key) || value === undefined) continue;
+      if (sameValue(current[key], value)) continue;
+      before[key] = current[key] ?? null;
+      after[key] = value ?? null;
+      update[key] = value === null ? admin.firestore.FieldValue.delete() : value;
+    }
+
+    const changed = Object.keys(after);
+    tx.set(
+      ref,
+      {
+        ...update,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        ...(snap.exists ? {} : { created_at: admin.firestore.FieldValue.serverTimestamp() }),
+      },
+      { merge: true }
+    );
+    if (!changed.length) return { changeId: null, changed };
+
+    tx.set(changeRef, {
+      source,
+      fields: changed,
+      before,
+      after,
+      ...meta,
+      undoneAt: null,
+      at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { changeId: changeRef.id, changed };
+  });
+}
+
+export async function listProfileChanges(userId, { limit = 20 } = {}) {
+  const snap = await changesCol(userId).orderBy("at", "desc").limit(limit).get();
+  return snap.docs.map((d) => {
+    const data = d.data();
+    return {
+      id: d.id,
+      source: data.source,
+      fields: data.fields || [],
+      before: data.before || {},
+      after: data.after || {},
+      undoneAt: data.undoneAt?.toDate ? data.undoneAt.toDate().toISOString() : null,
+      at: data.at?.toDate ? data.at.toDate().toISOString() : null,
+    };
+  });
+}
+
+/**
+ * 変更を取り消す（変更前の値に戻す。その後さらに変わった項目はそのまま）
+ * @returns {Promise<{ ok: boolean, reason?: string, restored?: string[] }>}
+ */
+export async function undoProfileChange(userId, changeId) {
+  const ref = changesCol(userId).doc(changeId);
+  const snap = await ref.get();
+  if (!snap.exists) return { ok: false, reason: "not_found" };
+  const change = snap.data();
+  if (change.undoneAt) return { ok: false, reason: "already_undone" };
+
+  // 取り消し対象の変更のあとに別の値に書き換わった項目は戻さない
+  const current = await getProfile(userId);
+  const restore = {};
+  for (const key of change.fields || []) {
+    if (sameValue(current[key], change.after?.[key])) restore[key] = change.before?.[key] ?? null;
+  }
+
+  const { changed } = await saveProfile(userId, restore, { source: "undo", meta: { undoOf: changeId } });
+  await ref.set({ undoneAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  console.log(`↩️ profile change undone: user=${userId}, change=${changeId}, fields=${changed.join(",")}`);
+  return { ok: true, restored: changed };
+}
+
+/* ======================== 会話からの提案 ======================== */
+// 毎回 LLM を呼ばないよう、関係のありそうな話題だけ抽出にかける
+// 家庭のことをはっきり言っている文だけ抽出にかける（ふつうの雑談では LLM を呼ばない）
+const FAMILY_SUBJECT = "(うち|我が家|わが家|私|わたし|夫|旦那|主人|子ども|子供|こども|息子|娘|上の子|下の子)(は|が|って|も)";
+const PROFILE_STATEMENTS = [
+  /アレルギー/,
+  /ベジタリアン|ヴィーガン|ビーガン|糖質制限|減塩|食事制限/,
+  /(を|が|は)(食べられない|食べれない|食べさせられない)/,
+  new RegExp(`${FAMILY_SUBJECT}.{0,12}(が|は)(苦手|嫌い)`),
+  /(\d+|[一二三四五六七八九])人(家族|暮らし)|(大人|子ども|子供|こども)が?(\d+|[一二三四五])人/,
+  /(和食|洋食|中華|イタリアン|韓国料理|エスニック)(が|は)?(好き|派|中心|が多い)/,
+  /料理(が|は)?(苦手|得意|初心者|下手|へた|上手|あまりしない)/,
+];
+
+export function looksLikeProfileStatement(text) {
+  const t = (text || "").normalize("NFKC");
+  return PROFILE_STATEMENTS.some((re) => re.test(t));
+}
+
+const EXTRACT_PROMPT = `あなたは育児中のママとの会話から、献立づくりに役立つプロフィール項目だけを抜き出すアシスタントです。
+本人の家庭についてはっきり述べられた事実だけを抜き出してください。推測・仮定・他人の家庭の話・一時的な気分は含めません。
+項目:
+- householdSize: 家族構成（例: 大人2人、子供1人（3歳））
+- allergies: アレルギーのある食材（例: 卵）
+- dietaryRestrictions: 食事制限・苦手な食材（例: ピーマンが苦手）
+- preferredCuisines: 好きな料理ジャンル（例: 和食）
+- cookingSkill: 料理スキル（初心者 / 中級 / 上級 のいずれか）
+JSONのみで返してください: {"facts":[{"field":"allergies","value":"卵"}]}
+該当がなければ {"facts":[]}`;
+
+function mergeValue(field, current, value) {
+  if (!PROFILE_FIELDS[field].list || !current) return value;
+  const items = current.split(/[、,，\s]+/).filter(Boolean);
+  if (items.includes(value)) return current;
+  return `${current}、${value}`;
+}
+
+/**
+ * 発言からプロフィールに入れられそうな項目を探す（変化が無いものは除く）
+ * 抽出の LLM 呼び出しは profileExtract の回数として数え、上限に達したら呼ばない
+ * @param {{ plan?: string }} [opts] plan は "free" / "premium"
+ * @returns {Promise<Array<{ field: string, value: string }>>}
+ */
+export async function extractProfileFacts(userId, text, { plan = "free" } = {}) {
+  if (!looksLikeProfileStatement(text)) return [];
+
+  const { ok, reservation } = await reserveQuota(userId, "profileExtract", { plan });
+  if (!ok) return [];
+  let raw;
+  try {
+    ({ text: raw } = await complete({
+      task: "profile_extract",
+      plan,
+      json: true,
+      messages: [
+        { role: "system", content: EXTRACT_PROMPT },
+        { role: "user", content: text },
+      ],
+    }));
+  } catch (e) {
+    await refundQuota(reservation);
+    throw e;
+  }
+
+  let facts = [];
+  try {
+    facts = JSON.parse(raw).facts || [];
+  } catch {
+    return [];
+  }
+
+  const current = await getProfile(userId);
+  return facts
+    .filter((f) => PROFILE_FIELDS[f?.field] && typeof f.value === "string" && f.value.trim())
+    .map((f) => ({ field: f.field, value: f.value.trim().slice(0, 100) }))
+    .filter((f) => !PROFILE_FIELDS[f.field].values || PROFILE_FIELDS[f.field].values.includes(f.value))
+    .filter((f) => !sameValue(mergeValue(f.field, current[f.field], f.value), current[f.field]));
+}
+
+/**
+ * 確認待ちの提案を作る
+ * @returns {Promise<string>} proposalId
+ */
+export async function createProfileProposal(userId, facts, { sourceText = "" } = {}) {
+  const ref = await proposalsCol(userId).add({
+    facts,
+    sourceText: sourceText.slice(0, 500),
+    status: "pending",
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + PROPOSAL_TTL_MS),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/**
+ * 提案への返事（accept: true で保存）
+ * @returns {Promise<{ ok: boolean, reason?: string, changed?: string[] }>}
+ */
+export async function resolveProfileProposal(userId, proposalId, { accept }) {
+  const ref = proposalsCol(userId).doc(String(proposalId));
+  const snap = await ref.get();
+  if (!snap.exists) return { ok: false, reason: "not_found" };
+  const proposal = snap.data();
+  if (proposal.status !== "pending") return { ok: false, reason: proposal.status };
+  if (proposal.expiresAt?.toMillis() < Date.now()) {
+    await ref.set({ status: "expired" }, { merge: true });
+    return { ok: false, reason: "expired" };
+  }
+
+  if (!accept) {
+    await ref.set({ status: "rejected", resolvedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    return { ok: true, changed: [] };
+  }
+
+  const current = await getProfile(userId);
+  const fields = {};
+  for (const { field, value } of proposal.facts || []) {
+    fields[field] = mergeValue(field, fields[field] ?? current[field], value);
+  }
+  const { changeId, changed } = await saveProfile(userId, fields, {
+    source: "chat",
+    meta: { proposalId: ref.id },
+  });
+  await ref.set(
+    { status: "confirmed", changeId, resolvedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  return { ok: true, changed };
+}
+
+/**
+ * 「プロフィールに保存していい？」の確認メッセージ（はい/いいえは postback）
+ */
+export function buildProposalMessage(proposalId, facts) {
+  const lines = facts.map((f) => `・${PROFILE_FIELDS[f.field].label}：${f.value}`);
+  return {
+    type: "text",
+    text: ["いまのお話、献立づくりのためにプロフィールに残しておいてもいい？📝", ...lines].join("\n"),
+    quickReply: {
+      items: [
+        {
+          type: "action",
+          action: {
+            type: "postback",
+            label: "保存する",
+            data: `action=profile_confirm&proposal=${proposalId}`,
+            displayText: "保存して！",
+          },
+        },
+        {
+          type: "action",
+          action: {
+            type: "postback",
+            label: "保存しない",
+            data: `action=profile_reject&proposal=${proposalId}`,
+            displayText: "今回は保存しないで",
+          },
+        },
+      ],
+    },
+  };
+}
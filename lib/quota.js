@@ -0,0 +1,290 @@
+// lib/quota.js
+// 回数制限：プラン × 機能ごとの1日の上限（プレミアムはフェアユース上限）
+// 既定値 → 環境変数 QUOTA_LIMITS(JSON) → Firestore の config/quotas の順で上書きする
+// 使用回数は usage_daily/{uid}_{JSTの日付}、追加付与（キャンペーンなど）は quota_grants
+import admin from "firebase-admin";
+
+export const QUOTA_FEATURES = ["chat", "fridgeScan", "mealPlan", "profileExtract"];
+// 会話の裏で LLM を呼ぶ分（会話からのプロフィール抽出）。数えるが残り回数の表示には出さない
+const BACKGROUND_FEATURES = ["profileExtract"];
+
+// null は無制限、0 はその機能を使えない
+const DEFAULT_LIMITS = {
+  free: { chat: 3, fridgeScan: 0, mealPlan: 0, profileExtract: 3 },
+  premium: { chat: 200, fridgeScan: 20, mealPlan: 10, profileExtract: 30 },
+};
+
+// 返信の末尾に残り回数を添えるのは、残りがこの数以下の時だけ
+const DEFAULT_NOTICE_AT = { free: 3, premium: 10 };
+
+const CACHE_MS = 5 * 60 * 1000;
+let cache = { at: 0, config: null };
+
+// 既存の usage_daily.count は chat の回数として使い続ける
+const usageField = (feature) => (feature === "chat" ? "count" : feature);
+
+function parseEnvLimits() {
+  if (!process.env.QUOTA_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.QUOTA_LIMITS);
+  } catch (e) {
+    console.warn("⚠️ QUOTA_LIMITS のJSONが不正です（無視します）:", e.message);
+    return {};
+  }
+}
+
+function mergeLimits(base, override = {}) {
+  const out = {};
+  for (const plan of new Set([...Object.keys(base), ...Object.keys(override)])) {
+    out[plan] = { ...(base[plan] || {}), ...(override[plan] || {}) };
+  }
+  return out;
+}
+
+/**
+ * config/quotas: { limits: { free: { chat: 5 } }, noticeAt: { free: 2 } }
+ */
+export async function getQuotaConfig() {
+  if (cache.config && Date.now() - cache.at < CACHE_MS) return cache.config;
+
+  let limits = mergeLimits(DEFAULT_LIMITS, parseEnvLimits());
+  let noticeAt = { ...DEFAULT_NOTICE_AT };
+  try {
+    const snap = await admin.firestore().collection("config").doc("quotas").get();
+    if (snap.exists) {
+      const data = snap.data();
+      limits = mergeLimits(limits, data.limits);
+      noticeAt = { ...noticeAt, ...(data.noticeAt || {}) };
+    }
+  } catch (e) {
+    console.warn("⚠️ config/quotas 読み込み失敗（既定値を使用）:", e.message);
+  }
+
+  cache = { at: Date.now(), config: { limits, noticeAt } };
+  return cache.config;
+}
+
+export async function getLimit(plan, feature) {
+  const { limits } = await getQuotaConfig();
+  const value = limits[plan]?.[feature];
+  return value === undefined ? null : value;
+}
+
+// JST の「本日」（回数カウント用キー）
+export function jstTodayKey(now = new Date()) {
+  const jst = new Date(now.getTime() + 9 * 60 * 60 * 1000);
+  const y = jst.getUTCFullYear();
+  const m = String(jst.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(jst.getUTCDate()).padStart(2, "0");
+  return `${y}${m}${d}`;
+}
+
+const usageRef = (userId, dayKey = jstTodayKey()) =>
+  admin.firestore().collection("usage_daily").doc(`${userId}_${dayKey}`);
+const grantsCol = () => admin.firestore().collection("quota_grants");
+
+// 期限内で残りのある付与を古い順に（userId + feature + remaining の複合インデックスは firestore.indexes.json）
+async function activeGrants(userId, feature) {
+  const snap = await grantsCol()
+    .where("userId", "==", String(userId))
+    .where("feature", "==", feature)
+    .where("remaining", ">", 0)
+    .get();
+  const now = Date.now();
+  return snap.docs
+    .filter((d) => {
+      const exp = d.data().expiresAt;
+      return !exp || exp.toMillis() > now;
+    })
+    .sort((a, b) => (a.data().createdAt?.toMillis?.() || 0) - (b.data().createdAt?.toMillis?.() || 0));
+}
+
+/**
+ * 今日の残り回数
+ * @returns {Promise<{ feature: string, limit: number|null, used: number, remaining: number|null, bonus: number, allowed: boolean }>}
+ */
+export async function checkQuota(userId, feature, { plan }) {
+  const limit = await getLimit(plan, feature);
+  const snap = await usageRef(userId).get();
+  const used = snap.exists ? snap.data()[usageField(feature)] || 0 : 0;
+  const grants = limit === null ? [] : await activeGrants(userId, feature);
+  const bonus = grants.reduce((sum, d) => sum + (d.data().remaining || 0), 0);
+  const remaining = limit === null ? null : Math.max(0, limit - used) + bonus;
+  return { feature, limit, used, remaining, bonus, allowed: remaining === null || remaining > 0 };
+}
+
+/**
+ * 1回分をトランザクションで確保する（LLM を呼ぶ前に）
+ * 1日の上限内なら usage_daily を +1、超えていれば追加付与から -1。どちらも無ければ拒否
+ * 同時に何通も来ても、上限を超えて確保されることはない
+ * @returns {Promise<{ ok: boolean, quota: object, reservation: object|null }>}
+ *   quota.remaining は確保した後の残り
+ */
+export async function reserveQuota(userId, feature, { plan }) {
+  const db = admin.firestore();
+  const limit = await getLimit(plan, feature);
+  const dayKey = jstTodayKey();
+  const ref = usageRef(userId, dayKey);
+  const field = usageField(feature);
+  const grantsQuery = grantsCol()
+    .where("userId", "==", String(userId))
+    .where("feature", "==", feature)
+    .where("remaining", ">", 0);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const used = snap.exists ? snap.data()[field] || 0 : 0;
+    const now = Date.now();
+
+    const grants =
+      limit === null
+        ? []
+        : (await tx.get(grantsQuery)).docs
+            .filter((d) => !d.data().expiresAt || d.data().expiresAt.toMillis() > now)
+            .sort((a, b) => (a.data().createdAt?.toMillis?.() || 0) - (b.data().createdAt?.toMillis?.() || 0));
+    const bonus = grants.reduce((sum, d) => sum + (d.data().remaining || 0), 0);
+    const quota = { feature, limit, used, bonus, remaining: limit === null ? null : Math.max(0, limit - used) + bonus };
+
+    if (limit !== null && used >= limit) {
+      const [grant] = grants;
+      if (!grant) return { ok: false, quota: { ...quota, allowed: false }, reservation: null };
+      tx.update(grant.ref, {
+        remaining: admin.firestore.FieldValue.increment(-1),
+        lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return {
+        ok: true,
+        quota: { ...quota, bonus: bonus - 1, remaining: quota.remaining - 1, allowed: true },
+        reservation: { userId: String(userId), feature, source: "grant", grantId: grant.id },
+      };
+    }
+
+    tx.set(
+      ref,
+      {
+        [field]: admin.firestore.FieldValue.increment(1),
+        userId: String(userId),
+        dayKey,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return {
+      ok: true,
+      quota: {
+        ...quota,
+        used: used + 1,
+        remaining: quota.remaining === null ? null : quota.remaining - 1,
+        allowed: true,
+      },
+      reservation: { userId: String(userId), feature, source: "daily", dayKey },
+    };
+  });
+}
+
+/**
+ * 確保した1回分を戻す（LLM が失敗した時など。失敗した回は数えない）
+ */
+export async function refundQuota(reservation) {
+  if (!reservation) return;
+  try {
+    if (reservation.source === "grant") {
+      await grantsCol().doc(reservation.grantId).update({
+        remaining: admin.firestore.FieldValue.increment(1),
+      });
+    } else {
+      await usageRef(reservation.userId, reservation.dayKey).set(
+        {
+          [usageField(reservation.feature)]: admin.firestore.FieldValue.increment(-1),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    }
+    console.log(`↩️ quota refunded: user=${reservation.userId}, ${reservation.feature} (${reservation.source})`);
+  } catch (e) {
+    console.error("❌ quota refund error:", e);
+  }
+}
+
+/**
+ * 全機能の残り回数（マイページ・/usage API 用）
+ */
+export async function getUsageSummary(userId, { plan }) {
+  const entries = await Promise.all(
+    QUOTA_FEATURES.filter((f) => !BACKGROUND_FEATURES.includes(f)).map(async (f) => [
+      f,
+      await checkQuota(userId, f, { plan }),
+    ])
+  );
+  return { plan, dayKey: jstTodayKey(), features: Object.fromEntries(entries) };
+}
+
+/**
+ * 追加回数を付与する（キャンペーン・お詫びなど）
+ * @returns {Promise<string>} grantId
+ */
+export async function grantBonus({ userId, feature, amount, expiresAt = null, reason = "", source = "admin" }) {
+  if (!QUOTA_FEATURES.includes(feature)) throw new Error(`unknown feature: ${feature}`);
+  const n = Math.floor(Number(amount));
+  if (!(n > 0)) throw new Error("amount must be a positive integer");
+
+  const ref = await grantsCol().add({
+    userId: String(userId),
+    feature,
+    amount: n,
+    remaining: n,
+    expiresAt: expiresAt ? admin.firestore.Timestamp.fromDate(new Date(expiresAt)) : null,
+    reason,
+    source,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`🎁 quota grant: user=${userId}, ${feature}+${n}, reason=${reason || "-"}`);
+  return ref.id;
+}
+
+const FEATURE_LABELS = {
+  chat: { unit: "回おしゃべり", done: "おしゃべり" },
+  fridgeScan: { unit: "回冷蔵庫スキャン", done: "冷蔵庫スキャン" },
+  mealPlan: { unit: "回献立づくり", done: "献立づくり" },
+};
+
+// 上限に達した時の返信
+export function buildLimitReply(quota, { plan }) {
+  const label = FEATURE_LABELS[quota.feature] || FEATURE_LABELS.chat;
+  if (plan === "premium") {
+    return `今日は${label.done}をたくさん使ってくれたから、いったんお休みにするね🍵 また明日ね！`;
+  }
+  if (quota.feature === "chat") {
+    return `今日はもう${quota.limit}回おしゃべりしたから終了だよ🥲 また明日ね！\nもっと話したい人向けに「プレミアム」もあるよ✨`;
+  }
+  return `今日の${label.done}は${quota.limit}回までなんだ🥲 また明日ね！`;
+}
+
+/**
+ * 返信の末尾に添える残り回数（残りが少ない時だけ。不要なら null）
+ */
+export async function buildRemainingNotice(quota, { plan }) {
+  if (quota.remaining === null) return null;
+  const { noticeAt } = await getQuotaConfig();
+  const threshold = noticeAt[plan];
+  if (threshold === undefined || threshold === null || quota.remaining > threshold) return null;
+  const label = FEATURE_LABELS[quota.feature] || FEATURE_LABELS.chat;
+  return quota.remaining > 0
+    ? `（今日はあと${quota.remaining}${label.unit}できるよ）`
+    : `（今日の${label.done}はこれでおしまい。また明日ね）`;
+}
+
+/**
+ * 残り回数を LINE 向けの文章に（使えない機能は出さない）
+ */
+export function formatUsageSummary(summary) {
+  const lines = Object.values(summary.features)
+    .filter((q) => q.limit !== 0 || q.bonus > 0)
+    .map((q) => {
+      const label = (FEATURE_LABELS[q.feature] || FEATURE_LABELS.chat).done;
+      if (q.remaining === null) return `・${label}：制限なし`;
+      return `・${label}：あと${q.remaining}回${q.bonus > 0 ? `（追加分${q.bonus}回を含む）` : ""}`;
+    });
+  return ["今日の残り回数だよ📊", ...lines].join("\n");
+}
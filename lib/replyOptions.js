@@ -0,0 +1,101 @@
+// lib/replyOptions.js
+// あいこの返事に含まれる「A）〜、B）〜」の選択肢を取り出して、LINE のボタンにする
+// ボタンは message アクションなので、押すと選んだ内容がそのまま次の発言として届く
+//   通常の選択肢 → クイックリプライ、献立の案 → Flex カルーセル
+
+// 選択肢の書き方をそろえてもらう（取り出しやすく、ボタンに収まる長さに）
+export const OPTIONS_FORMAT_PROMPT =
+  "選択肢を出すときは「A）〜、B）〜」の形で、A から順に最大3つ、それぞれ20文字以内で書いてください。";
+
+const MAX_OPTIONS = 4;
+const LABEL_MAX = 20; // クイックリプライ・ボタンの label の上限
+const MARKER = /([A-D])\)\s*/g;
+// 最後の選択肢のうしろに続く問いかけ（「どれがよさそう？」「のどっちにする？」など）はラベルに含めない
+// 問いかけの前の助詞（の/と/か/を）や空白も落とす
+const TAIL_QUESTION = /[、,\s]*(?:(?:の|と|か|を)[、,\s]*)?(どれ|どっち|どちら).*$/;
+const TAIL_PARTICLE = /[、,\s]+(の|と|か|を)$/;
+export const cutTail = (s) => s.split(/[?。\n]/)[0].replace(TAIL_QUESTION, "").replace(TAIL_PARTICLE, "");
+
+const clip = (s, n) => ([...s].length > n ? `${[...s].slice(0, n - 1).join("")}…` : s);
+
+/**
+ * 返事から選択肢を取り出す（A から連続して2つ以上ある時だけ）
+ * @returns {Array<{ key: string, label: string, text: string }>}
+ */
+export function extractOptions(reply) {
+  const t = (reply || "").normalize("NFKC");
+  const markers = [...t.matchAll(MARKER)];
+
+  // A）から始まる連続した並びだけ採用（文中の "B)" などの誤検出を避ける）
+  const start = markers.findIndex((m) => m[1] === "A");
+  if (start < 0) return [];
+  const seq = [];
+  for (const m of markers.slice(start)) {
+    if (m[1] !== String.fromCharCode(65 + seq.length)) break;
+    seq.push(m);
+  }
+  if (seq.length < 2) return [];
+
+  return seq.slice(0, MAX_OPTIONS).map((m, i) => {
+    const from = m.index + m[0].length;
+    const to = i + 1 < seq.length ? seq[i + 1].index : t.length;
+    let label = t.slice(from, to).split("\n")[0];
+    if (i === seq.length - 1) label = cutTail(label);
+    label = label.replace(/[\s、,/／]+$/, "").replace(/^[\s、,]+/, "").trim();
+    return { key: m[1], label, text: `${m[1]}）${label}`.slice(0, 300) };
+  }).filter((o) => o.label);
+}
+
+/**
+ * chatWithAiko が返す options（n8n の /api/chat にもそのまま出す）
+ * @returns {{ style: "quick_reply"|"carousel", items: Array<{ key: string, label: string, text: string }> }|null}
+ */
+export function buildReplyOptions(reply, { intent } = {}) {
+  const items = extractOptions(reply);
+  if (items.length < 2) return null;
+  return { style: intent === "menu_question" ? "carousel" : "quick_reply", items };
+}
+
+export function optionQuickReplyItems(options) {
+  return (options?.items || []).map((o) => ({
+    type: "action",
+    action: { type: "message", label: clip(`${o.key}）${o.label}`, LABEL_MAX), text: o.text },
+  }));
+}
+
+// 献立の案などを横に並べるカルーセル（「これにする」で選んだ案が次の発言になる）
+export function buildOptionsCarousel(options) {
+  return {
+    type: "flex",
+    altText: options.items.map((o) => o.text).join(" / ").slice(0, 400),
+    contents: {
+      type: "carousel",
+      contents: options.items.map((o) => ({
+        type: "bubble",
+        size: "kilo",
+        body: {
+          type: "box",
+          layout: "vertical",
+          spacing: "sm",
+          contents: [
+            { type: "text", text: `案${o.key}`, weight: "bold", size: "sm", color: "#2f6df6" },
+            { type: "text", text: o.label, wrap: true, size: "md" },
+          ],
+        },
+        footer: {
+          type: "box",
+          layout: "vertical",
+          contents: [
+            {
+              type: "button",
+              style: "primary",
+              color: "#2f6df6",
+              height: "sm",
+              action: { type: "message", label: "これにする", text: o.text },
+            },
+          ],
+        },
+      })),
+    },
+  };
+}
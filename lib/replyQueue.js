@@ -0,0 +1,141 @@
+// lib/replyQueue.js
+// 返信キュー：replyToken の期限に間に合わない・LLMが落ちている時は
+// reply_jobs に積んでおき、あとで答えを push で届ける（再起動しても Firestore から再開）
+import admin from "firebase-admin";
+
+const COLLECTION = "reply_jobs";
+const POLL_MS = Number(process.env.REPLY_QUEUE_POLL_MS) || 15000;
+const MAX_ATTEMPTS = Number(process.env.REPLY_QUEUE_MAX_ATTEMPTS) || 5;
+const STALE_LOCK_MS = 5 * 60 * 1000; // processing のまま止まっているジョブを戻すまでの時間
+const BATCH = 5;
+
+const jobs = () => admin.firestore().collection(COLLECTION);
+const nowTs = () => admin.firestore.Timestamp.now();
+const tsAfter = (ms) => admin.firestore.Timestamp.fromMillis(Date.now() + ms);
+
+// 1分, 2分, 4分 … 最大30分
+const backoffMs = (attempts) => Math.min(30 * 60 * 1000, 60 * 1000 * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * ジョブを積む
+ * status: "processing" で積むと、呼び出し元がそのまま処理を続ける前提（落ちたら stale 扱いで再実行）
+ * @returns {Promise<string>} jobId
+ */
+export async function enqueueReply({ userId, text, reason, status = "queued", payload = {} }) {
+  const ref = await jobs().add({
+    userId: String(userId),
+    text,
+    payload,
+    reason,
+    status,
+    attempts: 0,
+    nextAttemptAt: status === "queued" ? tsAfter(backoffMs(1)) : nowTs(),
+    lockedAt: status === "processing" ? nowTs() : null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`📥 reply_job queued: id=${ref.id}, userId=${userId}, reason=${reason}`);
+  return ref.id;
+}
+
+export async function completeJob(jobId) {
+  await jobs().doc(jobId).set(
+    { status: "done", lockedAt: null, doneAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/**
+ * 失敗を記録して再スケジュール（上限を超えたら failed）
+ * @returns {Promise<boolean>} まだ再試行するなら true
+ */
+export async function failJob(jobId, error) {
+  const ref = jobs().doc(jobId);
+  const snap = await ref.get();
+  const attempts = (snap.data()?.attempts || 0) + 1;
+  const giveUp = attempts >= MAX_ATTEMPTS;
+  await ref.set(
+    {
+      status: giveUp ? "failed" : "queued",
+      attempts,
+      lastError: (error?.message || String(error || "")).slice(0, 500),
+      nextAttemptAt: tsAfter(backoffMs(attempts + 1)),
+      lockedAt: null,
+    },
+    { merge: true }
+  );
+  return !giveUp;
+}
+
+// 期限の来た queued ジョブを1件ずつトランザクションで確保（status + nextAttemptAt の複合インデックスは firestore.indexes.json）
+async function claimDueJobs() {
+  const db = admin.firestore();
+  const snap = await jobs()
+    .where("status", "==", "queued")
+    .where("nextAttemptAt", "<=", nowTs())
+    .orderBy("nextAttemptAt", "asc")
+    .limit(BATCH)
+    .get();
+
+  const claimed = [];
+  for (const doc of snap.docs) {
+    const ok = await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(doc.ref);
+      if (fresh.data()?.status !== "queued") return false;
+      tx.update(doc.ref, { status: "processing", lockedAt: nowTs() });
+      return true;
+    });
+    if (ok) claimed.push({ id: doc.id, ...doc.data() });
+  }
+  return claimed;
+}
+
+// processing のまま止まったジョブ（プロセス再起動など）を queued に戻す（status + lockedAt のインデックスを使う）
+async function recoverStaleJobs() {
+  const snap = await jobs()
+    .where("status", "==", "processing")
+    .where("lockedAt", "<=", admin.firestore.Timestamp.fromMillis(Date.now() - STALE_LOCK_MS))
+    .limit(20)
+    .get();
+  for (const doc of snap.docs) {
+    await doc.ref.set({ status: "queued", lockedAt: null, nextAttemptAt: nowTs() }, { merge: true });
+    console.warn(`♻️ reply_job recovered: id=${doc.id}`);
+  }
+}
+
+/**
+ * ワーカーを起動
+ * @param {object} opts
+ * @param {(job: object) => Promise<void>} opts.handle  答えを作って push する処理（失敗時は throw）
+ * @param {(job: object) => Promise<void>} [opts.onGiveUp] 上限まで失敗した時の後始末
+ */
+export function startReplyWorker({ handle, onGiveUp }) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await recoverStaleJobs();
+      for (const job of await claimDueJobs()) {
+        try {
+          await handle(job);
+          await completeJob(job.id);
+          console.log(`📤 reply_job done: id=${job.id}`);
+        } catch (e) {
+          console.error(`❌ reply_job error: id=${job.id}`, e.message);
+          const willRetry = await failJob(job.id, e);
+          if (!willRetry && onGiveUp) await onGiveUp(job).catch(() => {});
+        }
+      }
+    } catch (e) {
+      console.error("❌ reply worker tick error:", e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_MS);
+  timer.unref?.();
+  tick(); // 起動直後に、前回のプロセスで残ったジョブを拾う
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,172 @@
+// lib/safety.js
+// 安全モード：危険度を crisis / concern / none の3段階で判定し、記録する
+import admin from "firebase-admin";
+import { templates as aikoTemplates } from "../Prompt.js";
+
+export const LEVELS = { CRISIS: "crisis", CONCERN: "concern", NONE: "none" };
+
+// 判定用の正規化：全角半角・カタカナ・空白・記号の揺れをならす
+export function normalizeForSafety(s) {
+  return foldKana(normalizeRaw(s));
+}
+
+// カタカナを残したままの正規化（「アリスカフェ」の中の「リスカ」を拾わないために使う）
+function normalizeRaw(s) {
+  return (s || "")
+    .toString()
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\s、。,.!！?？…・〜~]+/g, "");
+}
+
+function foldKana(s) {
+  return s.replace(/[ァ-ヶ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60));
+}
+
+/*
+ * category ごとのパターン（normalizeForSafety 後の文字列に当てる）
+ * ひらがな表記・口語のゆれもここで拾う
+ * rawPatterns はカタカナを畳まない文字列に当てる（カタカナ語の一部に紛れやすい略語用）
+ */
+// 子どもを指す言い方（normalizeForSafety 後の表記）
+const CHILD = "(子ども|子供|こども|この子|このこ|わが子|我が子|娘|むすめ|息子|むすこ|赤ちゃん|あかちゃん|赤ん坊|あかんぼう)";
+
+const RULES = [
+  // --- crisis: 自傷・自殺 ---
+  {
+    level: LEVELS.CRISIS,
+    category: "self_harm",
+    patterns: [
+      /(死|し)に(たい|てえ|たくなる|たくなった)/,
+      /(消|き)え(たい|てしまいたい|ちゃいたい)/,
+      /いなくなりたい/,
+      /生きて(いたくない|たくない|るのがつらい|いるのがつらい|る意味)/,
+      /自殺|じさつ/,
+      /自傷|じしょう|りすとかっと/,
+      /飛び降り|とびおり/,
+      /首を(吊|つ)|首(吊|つ)り/,
+      /(死|し)んで(楽|らく)になりたい/,
+    ],
+    rawPatterns: [/(?<![ァ-ヶー])リスカ(?![ァ-ヶー])/],
+  },
+  // --- crisis: 子どもへの危害 ---
+  {
+    level: LEVELS.CRISIS,
+    category: "child_harm",
+    // 「子どもを」「赤ちゃんに」など相手が書かれている時だけ（「ゴキブリ殺す」「夫を傷つけそう」「首をしめつける痛み」を拾わない）
+    patterns: [
+      new RegExp(`${CHILD}を(叩|たた|殴|なぐ|蹴|け)(いて|いちゃ|っちゃ|って|りそう|きそう|った|いた|る)`),
+      new RegExp(`${CHILD}を(揺さぶ|ゆさぶ)`),
+      new RegExp(`${CHILD}を(虐待|ぎゃくたい)(して|しそう|しちゃ|してる|してしま)`),
+      new RegExp(`${CHILD}の(首|くび)を?(絞|しめ)`),
+      new RegExp(`${CHILD}を(窒息|ちっそく)させ`),
+      new RegExp(`${CHILD}を?(殺|ころ)(したい|してしまいそう|しそう|しちゃいそう|しちゃう|す)`),
+      new RegExp(`${CHILD}を(傷つけ|きずつけ)(たい|そう|てしま|ちゃいそう)`),
+      new RegExp(`${CHILD}に(手をあげ|手を上げ|てをあげ)(そう|てしま|ちゃ)`),
+      new RegExp(`${CHILD}(を|に)(投げ|なげ)(つけ|そうになっ|ちゃ|てしま)`),
+    ],
+  },
+  // --- concern: 疲弊・産後うつのサイン ---
+  {
+    level: LEVELS.CONCERN,
+    category: "exhaustion",
+    patterns: [
+      /限界|げんかい/,
+      /疲れ果て|つかれはて|へとへと|もう無理|もうむり/,
+      /(眠|ねむ)れない|(寝|ね)てない|(寝|ね)れない/,
+      /涙が(止ま|とま)らない|(毎日|まいにち)(泣|な)いて/,
+      /産後うつ|さんごうつ|うつ(かも|っぽい|病)/,
+      /何もしたくない|なにもしたくない|何もできない|なにもできない/,
+      /誰にも頼れない|だれにもたよれない|孤独|ひとりぼっち/,
+      /かわいいと思えない|可愛いと思えない|愛せない/,
+      /虐待/,
+      /危ない|あぶない/,
+      /(もう|いっそ)(楽|らく)になりたい/,
+    ],
+  },
+];
+
+// マッチ直後にこれが続いたら打ち消しとみなす
+const NEGATION_AFTER =
+  /^ない|^(わけ|訳)(じゃ|では)ない|^(とか|なんて|ほど)(じゃ|では)?(ない|思ってない|考えてない)|^(とは|なんて)(思|おも)ってない|^ことはない|^じゃないよ|^わけないよ/;
+// マッチ直前にこれがあったら作品・報道の話とみなし、crisis ではなく concern に落とす
+const THIRD_PARTY_BEFORE = /(どらま|にゅーす|漫画|まんが|映画|えいが|げーむ)(で|の)$/;
+
+function isNegated(normText, index, length) {
+  const after = normText.slice(index + length, index + length + 16);
+  return NEGATION_AFTER.test(after);
+}
+
+/**
+ * テキストの危険度を判定
+ * @returns {{ level: string, category: string|null, matched: string[] }}
+ */
+export function assessSafety(text) {
+  const raw = normalizeRaw(text);
+  const t = foldKana(raw);
+  const result = { level: LEVELS.NONE, category: null, matched: [] };
+  if (!t) return result;
+
+  for (const rule of RULES) {
+    const checks = [
+      ...rule.patterns.map((re) => [re, t]),
+      ...(rule.rawPatterns || []).map((re) => [re, raw]),
+    ];
+    for (const [re, target] of checks) {
+      const m = re.exec(target);
+      if (!m) continue;
+      // raw と t は長さが同じ（カタカナ→ひらがなは1文字ずつ）なので位置はそのまま使える
+      if (isNegated(t, m.index, m[0].length)) continue;
+
+      let level = rule.level;
+      if (level === LEVELS.CRISIS && THIRD_PARTY_BEFORE.test(t.slice(0, m.index))) {
+        level = LEVELS.CONCERN;
+      }
+      result.matched.push(m[0]);
+      if (rank(level) > rank(result.level)) {
+        result.level = level;
+        result.category = rule.category;
+      }
+    }
+  }
+  return result;
+}
+
+function rank(level) {
+  return level === LEVELS.CRISIS ? 2 : level === LEVELS.CONCERN ? 1 : 0;
+}
+
+// crisis 時の固定返信（LLMは使わない）
+export function buildCrisisReply() {
+  return aikoTemplates.safetyFixed[0];
+}
+
+// concern 時にシステムプロンプトへ足す指示
+export const CONCERN_PROMPT = `
+【安全モード（見守り）】
+相手はかなり疲れている・気持ちが落ち込んでいる可能性があります。冗談・ユーモア・献立の提案は控え、絵文字は使わないでください。
+まず気持ちを受け止め、休めるための小さな選択肢を1つだけ。しんどさが続くようなら、地域の保健所や自治体のこころの相談、産院・小児科、信頼できる人に頼ってもいいことをやさしく伝えてください（診断はしない）。`;
+
+/**
+ * 判定結果を safety_events に記録（クライアントからは読めない管理用コレクション）
+ */
+export async function logSafetyEvent({ userId, assessment, text, source = "chat" }) {
+  if (!assessment || assessment.level === LEVELS.NONE) return null;
+  try {
+    const ref = await admin.firestore().collection("safety_events").add({
+      userId: String(userId),
+      level: assessment.level,
+      category: assessment.category,
+      matched: assessment.matched,
+      text: (text || "").toString().slice(0, 1000),
+      source,
+      reviewed: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.warn(`🚨 safety_event: level=${assessment.level}, userId=${userId}, id=${ref.id}`);
+    return ref.id;
+  } catch (e) {
+    console.error("❌ safety_event 記録エラー:", e);
+    return null;
+  }
+}
@@ -0,0 +1,232 @@
+// lib/shoppingList.js
+// 買い物リスト：献立に必要で冷蔵庫にない食材 → チェックしたら冷蔵庫へ
+import { randomUUID } from "crypto";
+import admin from "firebase-admin";
+import { loadIngredients } from "./mealPlan.js";
+import { stampIngredient, restockIngredient, withLegacyPurchaseDates } from "./expiry.js";
+
+const MAX_ITEMS = 100;
+const norm = (s) => (s || "").toString().normalize("NFKC").trim().toLowerCase();
+
+function convRef(userId) {
+  return admin.firestore().collection("conversations").doc(String(userId));
+}
+function listRef(userId) {
+  return convRef(userId).collection("shopping_list").doc("current");
+}
+
+const toISO = (v) => (v?.toDate ? v.toDate().toISOString() : null);
+
+export async function getShoppingList(userId) {
+  const snap = await listRef(userId).get();
+  if (!snap.exists) return { items: [], planId: null, updated_at: null, exists: false };
+  const data = snap.data();
+  return {
+    items: data.items || [],
+    planId: data.planId || null,
+    updated_at: toISO(data.updated_at),
+    exists: true,
+  };
+}
+
+async function saveItems(userId, items, extra = {}) {
+  await listRef(userId).set(
+    {
+      items: items.slice(0, MAX_ITEMS),
+      ...extra,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+const newItem = ({ name, quantity = "", category = "その他", planId = null }) => ({
+  id: randomUUID(),
+  name: name.toString().trim(),
+  quantity: (quantity || "").toString().trim(),
+  category,
+  planId,
+});
+
+/**
+ * 献立（指定がなければ最新）の食材と ingredients/current の差分からリストを作る
+ * 既存の手動追加分は残し、同名の食材は重複させない
+ * @returns {Promise<object|null>} 献立が無ければ null
+ */
+export async function buildFromMealPlan(userId, planId = null) {
+  const plansRef = convRef(userId).collection("meal_plans");
+  let planSnap;
+  if (planId) {
+    planSnap = await plansRef.doc(planId).get();
+    if (!planSnap.exists) return null;
+  } else {
+    const latest = await plansRef.orderBy("created_at", "desc").limit(1).get();
+    if (latest.empty) return null;
+    planSnap = latest.docs[0];
+  }
+  const plan = planSnap.data();
+
+  const [fridge, current] = await Promise.all([
+    loadIngredients(userId),
+    getShoppingList(userId),
+  ]);
+  const have = new Set(fridge.map((i) => norm(i.name)));
+  const listed = new Set(current.items.map((i) => norm(i.name)));
+
+  const needed = [
+    ...(plan.ingredientsToBuy || []),
+    ...(plan.ingredientsFromFridge || []),
+  ];
+  const added = [];
+  for (const name of needed) {
+    const key = norm(name);
+    if (!key || have.has(key) || listed.has(key)) continue;
+    listed.add(key);
+    added.push(newItem({ name, planId: planSnap.id }));
+  }
+
+  const items = [...current.items, ...added];
+  await saveItems(userId, items, { planId: planSnap.id });
+  console.log(`🛒 買い物リスト作成: userId=${userId}, plan=${planSnap.id}, +${added.length}件`);
+  return { items, planId: planSnap.id, added: added.length };
+}
+
+export async function addItem(userId, { name, quantity, category }) {
+  const { items } = await getShoppingList(userId);
+  const item = newItem({ name, quantity, category });
+  await saveItems(userId, [...items, item]);
+  return item;
+}
+
+export async function updateItem(userId, itemId, patch) {
+  const { items } = await getShoppingList(userId);
+  const idx = items.findIndex((i) => i.id === itemId);
+  if (idx < 0) return null;
+  const next = { ...items[idx] };
+  if (typeof patch.name === "string" && patch.name.trim()) next.name = patch.name.trim();
+  if (typeof patch.quantity === "string") next.quantity = patch.quantity.trim();
+  if (typeof patch.category === "string") next.category = patch.category;
+  items[idx] = next;
+  await saveItems(userId, items);
+  return next;
+}
+
+export async function removeItem(userId, itemId) {
+  const { items } = await getShoppingList(userId);
+  const rest = items.filter((i) => i.id !== itemId);
+  if (rest.length === items.length) return false;
+  await saveItems(userId, rest);
+  return true;
+}
+
+/**
+ * 買ったものをチェック：リストから外して冷蔵庫の食材リストへ移す
+ * @returns {Promise<object|null>} 移した食材
+ */
+export async function checkOffItem(userId, itemId) {
+  const db = admin.firestore();
+  const fridgeRef = convRef(userId).collection("ingredients").doc("current");
+
+  return db.runTransaction(async (tx) => {
+    const [listSnap, fridgeSnap] = await Promise.all([
+      tx.get(listRef(userId)),
+      tx.get(fridgeRef),
+    ]);
+    const items = listSnap.exists ? listSnap.data().items || [] : [];
+    const item = items.find((i) => i.id === itemId);
+    if (!item) return null;
+
+    const ingredients = fridgeSnap.exists ? withLegacyPurchaseDates(fridgeSnap.data().ingredients, fridgeSnap.data()) : [];
+    const idx = ingredients.findIndex((i) => norm(i.name) === norm(item.name));
+    const moved = { name: item.name, quantity: item.quantity || "", category: item.category || "その他" };
+    // 買ってきた日が購入日。もう冷蔵庫にあるものは買い足しとして期限を数え直す
+    if (idx >= 0) {
+      ingredients[idx] = restockIngredient({
+        ...ingredients[idx],
+        ...(moved.quantity ? { quantity: moved.quantity } : {}),
+      });
+    } else {
+      ingredients.push(stampIngredient(moved));
+    }
+
+    tx.set(
+      listRef(userId),
+      {
+        items: items.filter((i) => i.id !== itemId),
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    tx.set(
+      fridgeRef,
+      {
+        ingredients,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+        ...(fridgeSnap.exists ? {} : { created_at: admin.firestore.FieldValue.serverTimestamp() }),
+      },
+      { merge: true }
+    );
+    return moved;
+  });
+}
+
+// 「買い物リスト」「買い物リスト作って」
+export function detectShoppingListRequest(text) {
+  const t = (text || "").normalize("NFKC");
+  if (!/(買い物|かいもの)リスト/.test(t)) return null;
+  return /(作って|つくって|作成|作る)/.test(t) ? "build" : "show";
+}
+
+// LINE Flex Message（bubble）
+export function buildShoppingListFlex(items, { mypageUrl } = {}) {
+  const rows = items.slice(0, 30).map((i) => ({
+    type: "box",
+    layout: "horizontal",
+    spacing: "sm",
+    contents: [
+      { type: "text", text: "□", flex: 0, color: "#2f6df6" },
+      { type: "text", text: i.name, flex: 5, wrap: true },
+      { type: "text", text: i.quantity || " ", flex: 2, size: "sm", color: "#636a7a", align: "end" },
+    ],
+  }));
+  if (items.length > 30) {
+    rows.push({ type: "text", text: `ほか${items.length - 30}件`, size: "sm", color: "#636a7a" });
+  }
+
+  return {
+    type: "flex",
+    altText: `🛒 買い物リスト（${items.length}件）`,
+    contents: {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        contents: [{ type: "text", text: "🛒 買い物リスト", weight: "bold", size: "lg" }],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: rows.length
+          ? rows
+          : [{ type: "text", text: "いまは買うものはないよ✨", wrap: true }],
+      },
+      ...(mypageUrl
+        ? {
+            footer: {
+              type: "box",
+              layout: "vertical",
+              contents: [
+                {
+                  type: "button",
+                  style: "primary",
+                  color: "#2f6df6",
+                  action: { type: "uri", label: "マイページでチェック", uri: mypageUrl },
+                },
+              ],
+            },
+          }
+        : {}),
+    },
+  };
+}
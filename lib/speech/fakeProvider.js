@@ -0,0 +1,15 @@
+// lib/speech/fakeProvider.js
+// ネットワークもAPIキーも不要な決定的プロバイダ（ローカル動作確認用）
+
+export function createFakeSpeechProvider() {
+  return {
+    name: "fake",
+    async transcribe({ audio }) {
+      return { text: `（fake: ${audio?.length || 0}バイトの音声）今日ちょっと疲れちゃった` };
+    },
+    async synthesize({ text }) {
+      // 中身は再生できないダミー（長さだけ文字数に比例させる）
+      return { audio: Buffer.alloc(Math.min(text.length * 100, 30000)), mimeType: "audio/mpeg" };
+    },
+  };
+}
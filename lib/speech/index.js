@@ -0,0 +1,68 @@
+// lib/speech/index.js
+// 音声の窓口：文字起こし（STT）と読み上げ（TTS）はすべてここを通す
+// SPEECH_PROVIDER で差し替えられる（未指定なら openai。fake は SPEECH_PROVIDER=fake の時だけ）
+import { createOpenAISpeechProvider } from "./openaiProvider.js";
+import { createFakeSpeechProvider } from "./fakeProvider.js";
+import { withTimeout, retry, createCircuitBreaker } from "../llm/resilience.js";
+
+const FACTORIES = {
+  openai: createOpenAISpeechProvider,
+  fake: createFakeSpeechProvider,
+};
+
+let provider = null;
+
+const TIMEOUT_MS = Number(process.env.SPEECH_TIMEOUT_MS) || 20000;
+const MAX_RETRIES = Number(process.env.SPEECH_MAX_RETRIES ?? 1);
+const breaker = createCircuitBreaker({
+  name: "speech",
+  threshold: Number(process.env.SPEECH_BREAKER_THRESHOLD) || 5,
+  cooldownMs: Number(process.env.SPEECH_BREAKER_COOLDOWN_MS) || 30000,
+});
+
+// fake の文字起こしは決まった文を返すので、キーの設定漏れで黙って使われないようにする
+function defaultProviderName() {
+  if (process.env.SPEECH_PROVIDER) return process.env.SPEECH_PROVIDER;
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("OPENAI_API_KEY is not set (ローカル確認なら SPEECH_PROVIDER=fake)");
+  }
+  return "openai";
+}
+
+export function getSpeechProvider() {
+  if (!provider) {
+    const name = defaultProviderName();
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`unknown SPEECH_PROVIDER: ${name}`);
+    provider = factory();
+    console.log(`🎙️ Speech provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+// テストやローカル検証で差し替える用
+export function setSpeechProvider(next) {
+  provider = next;
+}
+
+const call = (fn) =>
+  breaker.exec(() => retry(() => withTimeout(fn, TIMEOUT_MS), { retries: MAX_RETRIES }));
+
+/**
+ * 音声 → テキスト
+ * @param {{ audio: Buffer, mimeType?: string, language?: string }} opts
+ * @returns {Promise<{ text: string }>}
+ */
+export async function transcribe({ audio, mimeType = "audio/m4a", language = "ja" }) {
+  const p = getSpeechProvider();
+  return call((signal) => p.transcribe({ audio, mimeType, language, signal }));
+}
+
+/**
+ * テキスト → 音声
+ * @returns {Promise<{ audio: Buffer, mimeType: string }>}
+ */
+export async function synthesize({ text }) {
+  const p = getSpeechProvider();
+  return call((signal) => p.synthesize({ text, signal }));
+}
@@ -0,0 +1,30 @@
+// lib/speech/openaiProvider.js
+import OpenAI, { toFile } from "openai";
+
+export function createOpenAISpeechProvider({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+  // リトライとタイムアウトは lib/speech/index.js 側で制御する
+  const client = new OpenAI({ apiKey, maxRetries: 0 });
+  const sttModel = process.env.STT_MODEL || "whisper-1";
+  const ttsModel = process.env.TTS_MODEL || "tts-1";
+  const ttsVoice = process.env.TTS_VOICE || "nova";
+
+  return {
+    name: "openai",
+    async transcribe({ audio, mimeType, language, signal }) {
+      // LINE の音声は m4a
+      const file = await toFile(audio, "voice.m4a", { type: mimeType || "audio/m4a" });
+      const res = await client.audio.transcriptions.create(
+        { file, model: sttModel, language },
+        { signal }
+      );
+      return { text: (res.text || "").trim() };
+    },
+    async synthesize({ text, signal }) {
+      const res = await client.audio.speech.create(
+        { model: ttsModel, voice: ttsVoice, input: text, response_format: "mp3" },
+        { signal }
+      );
+      return { audio: Buffer.from(await res.arrayBuffer()), mimeType: "audio/mpeg" };
+    },
+  };
+}
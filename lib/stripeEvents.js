@@ -0,0 +1,150 @@
+// lib/stripeEvents.js
+// Stripe Webhook の処理パイプライン：stripe_events に状態（locked / processed / failed / dead）を残し、
+// 止まったロックの回収・失敗イベントの再処理・手動リプレイを行う
+import admin from "firebase-admin";
+
+const COLLECTION = "stripe_events";
+const STALE_LOCK_MS = Number(process.env.STRIPE_EVENT_STALE_LOCK_MS) || 5 * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.STRIPE_EVENT_MAX_ATTEMPTS) || 8;
+const RETRY_INTERVAL_MS = Number(process.env.STRIPE_EVENT_RETRY_INTERVAL_MS) || 60 * 1000;
+
+const events = () => admin.firestore().collection(COLLECTION);
+const toMillis = (v) => (v?.toMillis ? v.toMillis() : 0);
+
+// 1分, 2分, 4分 … 最大1時間
+const backoffMs = (attempts) => Math.min(60 * 60 * 1000, 60 * 1000 * 2 ** Math.max(0, attempts - 1));
+
+// 旧形式（processedAt / lockedAt だけのドキュメント）も読めるように
+function statusOf(data) {
+  if (!data) return null;
+  if (data.status) return data.status;
+  if (data.processedAt) return "processed";
+  if (data.lockedAt) return "locked";
+  return null;
+}
+
+/**
+ * イベントを確保（ロック）できたら true
+ * processed は常にスキップ、locked は古くなっていれば奪い直す
+ */
+async function claim(event, { source, force }) {
+  const db = admin.firestore();
+  const ref = events().doc(event.id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() : null;
+    const status = statusOf(data);
+
+    if (!force) {
+      if (status === "processed") return false;
+      if (status === "locked" && Date.now() - toMillis(data.lockedAt) < STALE_LOCK_MS) return false;
+    }
+
+    tx.set(
+      ref,
+      {
+        type: event.type,
+        source,
+        status: "locked",
+        lockedAt: admin.firestore.FieldValue.serverTimestamp(),
+        attempts: admin.firestore.FieldValue.increment(1),
+        ...(snap.exists ? {} : { receivedAt: admin.firestore.FieldValue.serverTimestamp() }),
+      },
+      { merge: true }
+    );
+    return true;
+  });
+}
+
+/**
+ * 1件処理する
+ * @returns {Promise<"processed"|"skipped"|"failed">}
+ */
+export async function processStripeEvent(event, handler, { source = "webhook", force = false } = {}) {
+  if (!(await claim(event, { source, force }))) {
+    console.log(`ℹ️ stripe event skipped (already handled or in progress): ${event.id}`);
+    return "skipped";
+  }
+
+  const ref = events().doc(event.id);
+  try {
+    await handler(event);
+    await ref.set(
+      {
+        status: "processed",
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+        error: null,
+        nextRetryAt: null,
+      },
+      { merge: true }
+    );
+    return "processed";
+  } catch (e) {
+    const snap = await ref.get();
+    const attempts = snap.data()?.attempts || 1;
+    const dead = attempts >= MAX_ATTEMPTS;
+    await ref.set(
+      {
+        status: dead ? "dead" : "failed",
+        error: (e?.message || String(e)).slice(0, 1000),
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        nextRetryAt: dead ? null : admin.firestore.Timestamp.fromMillis(Date.now() + backoffMs(attempts)),
+      },
+      { merge: true }
+    );
+    console.error(`❌ stripe event ${dead ? "dead" : "failed"}: ${event.id} (${event.type}) attempt=${attempts}:`, e.message);
+    return "failed";
+  }
+}
+
+/**
+ * Stripe から取り直して処理し直す（管理画面からのリプレイ用）
+ */
+export async function replayStripeEvent(stripe, eventId, handler) {
+  const event = await stripe.events.retrieve(eventId);
+  return processStripeEvent(event, handler, { source: "replay", force: true });
+}
+
+// 再処理の対象：期限の来た failed と、止まったままの locked
+// どちらも status と日時の複合インデックスが要る（firestore.indexes.json）
+async function findRetryTargets() {
+  const now = admin.firestore.Timestamp.now();
+  const staleBefore = admin.firestore.Timestamp.fromMillis(Date.now() - STALE_LOCK_MS);
+  const [failed, stale] = await Promise.all([
+    events().where("status", "==", "failed").where("nextRetryAt", "<=", now).limit(10).get(),
+    events().where("status", "==", "locked").where("lockedAt", "<=", staleBefore).limit(10).get(),
+  ]);
+  return [...failed.docs, ...stale.docs].map((d) => d.id);
+}
+
+/**
+ * 失敗・停止したイベントを定期的に再処理する
+ * @returns {() => void} 停止関数
+ */
+export function startStripeEventRetrier({ stripe, handler }) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const id of await findRetryTargets()) {
+        try {
+          const event = await stripe.events.retrieve(id);
+          const result = await processStripeEvent(event, handler, { source: "retry" });
+          console.log(`🔁 stripe event retry: ${id} → ${result}`);
+        } catch (e) {
+          console.error(`❌ stripe event retry error: ${id}`, e.message);
+        }
+      }
+    } catch (e) {
+      console.error("❌ stripe event retrier tick error:", e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, RETRY_INTERVAL_MS);
+  timer.unref?.();
+  tick(); // 起動直後に前回のプロセスで止まったロックを回収
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,82 @@
+// lib/userSettings.js
+// ユーザーごとの設定（users/{uid}.settings）。マイページから変更する
+import admin from "firebase-admin";
+import { computeEntitlement } from "./entitlements.js";
+import { CHECKIN_DEFAULT, normalizeCheckin } from "./checkin.js";
+
+/*
+ * 設定項目の定義
+ *   feature: 有効にするのに必要な機能（entitlements の FEATURES）。無い場合は有効にできない
+ *   normalize: 入力を保存できる値にする（不正なら undefined）
+ */
+const SETTINGS = {
+  // 音声メッセージに声でも返事する
+  voiceReply: {
+    default: false,
+    feature: "voiceReply",
+    normalize: (v) => (typeof v === "boolean" ? v : undefined),
+  },
+  // 期限の近い食材を LINE で知らせる
+  expiryReminder: {
+    default: false,
+    feature: "expiryReminder",
+    normalize: (v) => (typeof v === "boolean" ? v : undefined),
+  },
+  // あいこから話しかける（希望時刻・おやすみ時間・週の上限つき）
+  checkin: {
+    default: CHECKIN_DEFAULT,
+    normalize: normalizeCheckin,
+  },
+};
+
+const userRef = (userId) => admin.firestore().collection("users").doc(String(userId));
+
+const withDefaults = (stored = {}) =>
+  Object.fromEntries(Object.entries(SETTINGS).map(([k, def]) => [k, stored[k] ?? def.default]));
+
+/**
+ * users ドキュメントから設定を読む（プランで使えない項目は既定値として扱う）
+ */
+export function settingsFromData(data) {
+  const settings = withDefaults(data?.settings);
+  const { features } = computeEntitlement(data || {});
+  for (const [key, def] of Object.entries(SETTINGS)) {
+    if (def.feature && !features[def.feature]) settings[key] = def.default;
+  }
+  return settings;
+}
+
+export async function getSettings(userId) {
+  const snap = await userRef(userId).get();
+  return settingsFromData(snap.exists ? snap.data() : {});
+}
+
+/**
+ * 設定を部分更新する
+ * @returns {Promise<{ ok: true, settings: object } | { ok: false, error: string, key?: string }>}
+ */
+export async function updateSettings(userId, patch) {
+  const snap = await userRef(userId).get();
+  const data = snap.exists ? snap.data() : {};
+  const { features } = computeEntitlement(data);
+
+  const update = {};
+  for (const [key, raw] of Object.entries(patch || {})) {
+    const def = SETTINGS[key];
+    if (!def) return { ok: false, error: "unknown_setting", key };
+    const value = def.normalize(raw);
+    if (value === undefined) return { ok: false, error: "invalid_value", key };
+    if (def.feature && !features[def.feature] && value !== def.default) {
+      return { ok: false, error: "premium_required", key };
+    }
+    update[key] = value;
+  }
+
+  const settings = { ...(data.settings || {}), ...update };
+  await userRef(userId).set(
+    { settings, settingsUpdatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  console.log(`⚙️ settings updated: user=${userId}, ${Object.keys(update).join(",")}`);
+  return { ok: true, settings: settingsFromData({ ...data, settings }) };
+}
@@ -0,0 +1,87 @@
+// lib/voice.js
+// LINE の音声メッセージ：文字起こしして会話に渡す／プレミアムで希望した人には声でも返事する
+// 返事の音声は voice_replies に置いて /voice/:id.mp3 で配信（LINE は URL でしか音声を送れない）
+import admin from "firebase-admin";
+import crypto from "crypto";
+import { downloadLineContent } from "./fridge.js";
+import { transcribe, synthesize } from "./speech/index.js";
+
+const MAX_INPUT_MS = Number(process.env.VOICE_MAX_DURATION_MS) || 2 * 60 * 1000;
+const TTS_MAX_CHARS = 300;
+const MAX_AUDIO_BYTES = 900 * 1024; // Firestore の1ドキュメント上限（1MiB）に収める
+const REPLY_TTL_DAYS = Number(process.env.VOICE_REPLY_TTL_DAYS) || 30;
+// 日本語の読み上げはおよそ1秒8文字（LINE の duration は表示用なので目安で十分）
+const CHARS_PER_SEC = 8;
+
+const repliesCol = () => admin.firestore().collection("voice_replies");
+
+/**
+ * LINE の音声メッセージを文字起こしする
+ * @returns {Promise<{ ok: true, text: string } | { ok: false, reason: "too_long"|"empty" }>}
+ */
+export async function transcribeLineAudio(lineClient, message) {
+  if (message.duration && message.duration > MAX_INPUT_MS) return { ok: false, reason: "too_long" };
+  const audio = await downloadLineContent(lineClient, message.id);
+  const { text } = await transcribe({ audio, mimeType: "audio/m4a" });
+  console.log(`🎙️ 文字起こし: ${audio.length}B → ${text.length}文字`);
+  return text ? { ok: true, text } : { ok: false, reason: "empty" };
+}
+
+export function buildVoiceErrorReply(reason) {
+  return reason === "too_long"
+    ? `ごめんね、長い音声はまだ聞き取れないの…${Math.round(MAX_INPUT_MS / 60000)}分くらいまでにしてくれる？🙏`
+    : "ごめんね、うまく聞き取れなかったみたい…もう一度話しかけてくれる？🎙️";
+}
+
+// 絵文字や記号は読み上げると不自然なので外す
+function speakable(text) {
+  return text
+    .replace(/\p{Extended_Pictographic}|️|‍/gu, "")
+    .replace(/[ \t]+/g, " ")
+    .trim()
+    .slice(0, TTS_MAX_CHARS);
+}
+
+/**
+ * 返事を読み上げて LINE の audio メッセージにする
+ * @param {{ userId: string, text: string, baseUrl: string }} opts
+ * @returns {Promise<object|null>} 読み上げる文がない・大きすぎる時は null
+ */
+export async function createVoiceReply({ userId, text, baseUrl }) {
+  const input = speakable(text || "");
+  if (!input) return null;
+
+  const { audio, mimeType } = await synthesize({ text: input });
+  if (audio.length > MAX_AUDIO_BYTES) {
+    console.warn(`⚠️ 読み上げ音声が大きすぎるため省略: ${audio.length}B`);
+    return null;
+  }
+
+  const id = crypto.randomBytes(16).toString("hex");
+  await repliesCol().doc(id).set({
+    userId: String(userId),
+    audio,
+    mimeType,
+    chars: input.length,
+    expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + REPLY_TTL_DAYS * 86400000),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return {
+    type: "audio",
+    originalContentUrl: `${baseUrl}/voice/${id}.mp3`,
+    duration: Math.max(1000, Math.round((input.length / CHARS_PER_SEC) * 1000)),
+  };
+}
+
+/**
+ * 配信用に読み出す（期限切れは null）
+ * @returns {Promise<{ audio: Buffer, mimeType: string }|null>}
+ */
+export async function getVoiceReply(id) {
+  if (!/^[0-9a-f]{32}$/.test(String(id))) return null;
+  const snap = await repliesCol().doc(id).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  if (data.expireAt?.toMillis() < Date.now()) return null;
+  return { audio: Buffer.from(data.audio), mimeType: data.mimeType || "audio/mpeg" };
+}
@@ -1,72 +1,23 @@
 // routes/chat.js
 import express from "express";
 import admin from "firebase-admin";
-import jwt from "jsonwebtoken";
-import jwksClient from "jwks-rsa";
+import {
+  getShoppingList,
+  buildFromMealPlan,
+  addItem as addShoppingItem,
+  updateItem as updateShoppingItem,
+  removeItem as removeShoppingItem,
+  checkOffItem,
+} from "../lib/shoppingList.js";
+import { TIERS, getEntitlement, updateEntitlement } from "../lib/entitlements.js";
+import { requireUserOrN8n } from "../lib/auth.js";
+import { saveProfile, listProfileChanges, undoProfileChange } from "../lib/profile.js";
+import { normalizeFamily, childrenWithAges, describeFamily } from "../lib/family.js";
+import { stampIngredients, needsDateBackfill, backfillIngredientDates } from "../lib/expiry.js";
+import { applyCooked, undoCooked, listCookLogs } from "../lib/pantry.js";
 
 const router = express.Router();
 
-// LINE IDトークン検証用クライアント
-const client = jwksClient({
-  jwksUri: 'https://api.line.me/oauth2/v2.1/certs',
-  cache: true,
-  rateLimit: true
-});
-
-// 公開鍵取得関数
-function getKey(header, callback) {
-  client.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      callback(err);
-    } else {
-      const signingKey = key.publicKey || key.rsaPublicKey;
-      callback(null, signingKey);
-    }
-  });
-}
-
-// トークン検証ミドルウェア
-const verifyTokenOptional = async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  const n8nToken = req.headers['x-n8n-token'];
-  
-  // n8nからのリクエストは従来通り許可
-  if (n8nToken === process.env.N8N_SHARED_SECRET) {
-    req.authenticated = true;
-    return next();
-  }
-  
-  // Authorizationヘッダーがない場合はスキップ
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    req.authenticated = false;
-    return next();
-  }
-  
-  const token = authHeader.split(' ')[1];
-  
-  try {
-    // LINE IDトークンを検証
-    const decoded = await new Promise((resolve, reject) => {
-      jwt.verify(token, getKey, {
-        algorithms: ['RS256'],
-        audience: process.env.LINE_LOGIN_CHANNEL_ID,
-        issuer: 'https://access.line.me'
-      }, (err, decoded) => {
-        if (err) reject(err);
-        else resolve(decoded);
-      });
-    });
-    
-    req.authenticated = true;
-    req.lineUserId = decoded.sub;
-    next();
-  } catch (error) {
-    console.error('Token verification failed:', error.message);
-    req.authenticated = false;
-    next();
-  }
-};
-
 // 会話履歴取得
 router.get("/:uid/history", async (req, res) => {
   try {
@@ -101,6 +52,7 @@ router.get("/:uid/history", async (req, res) => {
           ? data.timestamp.toDate().toISOString()
           : null,
         message_id: data.message_id || null,
+        intent: data.intent || null,
       });
     });
 
@@ -159,7 +111,7 @@ router.post("/:uid/message", async (req, res) => {
 });
 
 // プロフィール取得
-router.get("/:uid/profile", async (req, res) => {
+router.get("/:uid/profile", requireUserOrN8n, async (req, res) => {
   try {
     const db = admin.firestore();
     const { uid } = req.params;
@@ -186,6 +138,13 @@ router.get("/:uid/profile", async (req, res) => {
       exists: true,
       profile: {
         ...profileData,
+        // 年齢は保存していないので、ここで今日時点の値を付ける
+        ...(profileData.family
+          ? {
+              familyAges: childrenWithAges(profileData.family),
+              familySummary: describeFamily(profileData.family),
+            }
+          : {}),
         created_at: profileData.created_at?.toDate
           ? profileData.created_at.toDate().toISOString()
           : null,
@@ -200,42 +159,60 @@ router.get("/:uid/profile", async (req, res) => {
   }
 });
 
-// プロフィール保存
-router.post("/:uid/profile", async (req, res) => {
+// プロフィール保存（変更は profile_changes に残り、マイページから取り消せる）
+router.post("/:uid/profile", requireUserOrN8n, async (req, res) => {
   try {
-    const db = admin.firestore();
     const { uid } = req.params;
-    const profileData = req.body;
 
     console.log(`💾 Saving profile for user: ${uid}`);
 
-    const profileRef = db
-      .collection("conversations")
-      .doc(uid)
-      .collection("profile")
-      .doc("info");
-
-    const data = {
-      ...profileData,
-      updated_at: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    const existingProfile = await profileRef.get();
-    if (!existingProfile.exists) {
-      data.created_at = admin.firestore.FieldValue.serverTimestamp();
+    const fields = { ...(req.body || {}) };
+    delete fields.familyAges;
+    delete fields.familySummary;
+    if (fields.family !== undefined) {
+      const result = normalizeFamily(fields.family);
+      if (!result.ok) return res.status(400).json({ error: result.error });
+      fields.family = result.family;
     }
 
-    await profileRef.set(data, { merge: true });
+    const { changeId, changed } = await saveProfile(uid, fields, {
+      source: req.authVia === "n8n" ? "n8n" : "mypage",
+    });
 
-    console.log(`✅ Profile saved for user: ${uid}`);
-    res.json({ success: true });
+    console.log(`✅ Profile saved for user: ${uid} (${changed.length} fields)`);
+    res.json({ success: true, changeId, changed });
   } catch (error) {
     console.error("❌ Error saving profile:", error);
     res.status(500).json({ error: "internal_server_error" });
   }
 });
 
-// 会員種別取得
+// プロフィールの変更履歴
+router.get("/:uid/profile/changes", requireUserOrN8n, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    res.json({ changes: await listProfileChanges(req.params.uid, { limit }) });
+  } catch (error) {
+    console.error("❌ Error listing profile changes:", error);
+    res.status(500).json({ error: "internal_server_error" });
+  }
+});
+
+// 変更を取り消す
+router.post("/:uid/profile/changes/:changeId/undo", requireUserOrN8n, async (req, res) => {
+  try {
+    const result = await undoProfileChange(req.params.uid, req.params.changeId);
+    if (!result.ok) {
+      return res.status(result.reason === "not_found" ? 404 : 409).json({ success: false, error: result.reason });
+    }
+    res.json({ success: true, restored: result.restored });
+  } catch (error) {
+    console.error("❌ Error undoing profile change:", error);
+    res.status(500).json({ error: "internal_server_error" });
+  }
+});
+
+// 会員種別取得（users/{uid} を正として計算。membership/info は n8n 向けの写し）
 router.get("/:uid/membership", async (req, res) => {
   try {
     const db = admin.firestore();
@@ -243,34 +220,22 @@ router.get("/:uid/membership", async (req, res) => {
 
     console.log(`👤 Fetching membership for user: ${uid}`);
 
-    const membershipRef = db
-      .collection("conversations")
-      .doc(uid)
-      .collection("membership")
-      .doc("info");
-
-    const membershipDoc = await membershipRef.get();
+    const [entitlement, membershipDoc] = await Promise.all([
+      getEntitlement(uid),
+      db.collection("conversations").doc(uid).collection("membership").doc("info").get(),
+    ]);
+    const membershipData = membershipDoc.exists ? membershipDoc.data() : {};
+    const toISO = (v) => (v?.toDate ? v.toDate().toISOString() : v instanceof Date ? v.toISOString() : null);
 
-    if (!membershipDoc.exists) {
-      console.log(`ℹ️ No membership found, defaulting to free tier`);
-      return res.json({ 
-        exists: false, 
-        tier: "free"
-      });
-    }
-
-    const membershipData = membershipDoc.data();
-
-    console.log(`✅ Membership found: ${membershipData.tier}`);
+    console.log(`✅ Membership resolved: ${entitlement.tier}`);
     res.json({
-      exists: true,
-      tier: membershipData.tier,
-      created_at: membershipData.created_at?.toDate
-        ? membershipData.created_at.toDate().toISOString()
-        : null,
-      updated_at: membershipData.updated_at?.toDate
-        ? membershipData.updated_at.toDate().toISOString()
-        : null,
+      exists: membershipDoc.exists,
+      tier: entitlement.tier,
+      expires_at: toISO(entitlement.expiresAt),
+      features: entitlement.features,
+      payment_issue: entitlement.paymentIssue,
+      created_at: toISO(membershipData.created_at),
+      updated_at: toISO(membershipData.updated_at),
     });
   } catch (error) {
     console.error("❌ Error fetching membership:", error);
@@ -278,39 +243,26 @@ router.get("/:uid/membership", async (req, res) => {
   }
 });
 
-// 会員種別更新
+// 会員種別更新（手動付与・取り消し。Stripe 契約があるユーザーは定期突き合わせで Stripe 側に戻る）
 router.post("/:uid/membership", async (req, res) => {
   try {
-    const db = admin.firestore();
     const { uid } = req.params;
     const { tier } = req.body;
 
-    if (!["free", "premium"].includes(tier)) {
+    if (!Object.values(TIERS).includes(tier)) {
       return res.status(400).json({ error: "invalid_tier" });
     }
 
     console.log(`💳 Updating membership for user: ${uid} to ${tier}`);
 
-    const membershipRef = db
-      .collection("conversations")
-      .doc(uid)
-      .collection("membership")
-      .doc("info");
-
-    const data = {
-      tier,
-      updated_at: admin.firestore.FieldValue.serverTimestamp(),
-    };
-
-    const existingMembership = await membershipRef.get();
-    if (!existingMembership.exists) {
-      data.created_at = admin.firestore.FieldValue.serverTimestamp();
-    }
+    const entitlement = await updateEntitlement(
+      uid,
+      { premium: tier === TIERS.PREMIUM, premiumUntil: null },
+      { source: "n8n" }
+    );
 
-    await membershipRef.set(data, { merge: true });
-
-    console.log(`✅ Membership updated to ${tier}`);
-    res.json({ success: true, tier });
+    console.log(`✅ Membership updated to ${entitlement.tier}`);
+    res.json({ success: true, tier: entitlement.tier, features: entitlement.features });
   } catch (error) {
     console.error("❌ Error updating membership:", error);
     res.status(500).json({ error: "internal_server_error" });
@@ -318,29 +270,12 @@ router.post("/:uid/membership", async (req, res) => {
 });
 
 // 食材リストを取得
-router.get('/:uid/ingredients', verifyTokenOptional, async (req, res) => {
+router.get('/:uid/ingredients', requireUserOrN8n, async (req, res) => {
   try {
     const db = admin.firestore();
     const userId = req.params.uid;
 
-    console.log('📖 食材リスト取得:', userId);
-    console.log('🔐 認証状態:', req.authenticated ? 'あり' : 'なし');
-    console.log('👤 LINE User ID:', req.lineUserId || 'なし');
-
-    // 認証がある場合のみユーザーID照合
-    if (req.authenticated && req.lineUserId && req.lineUserId !== userId) {
-      console.error('❌ ユーザーID不一致');
-      return res.status(403).json({
-        success: false,
-        error: 'forbidden'
-      });
-    }
-
-    // 認証がない場合も続行（開発中のため）
-    // TODO: 本番環境では認証必須にする
-    if (!req.authenticated) {
-      console.log('⚠️ 認証なしでアクセス（開発中のため許可）');
-    }
+    console.log('📖 食材リスト取得:', userId, `(${req.authVia})`);
 
     const ingredientsRef = db
       .collection('conversations')
@@ -360,9 +295,13 @@ router.get('/:uid/ingredients', verifyTokenOptional, async (req, res) => {
     }
 
     const data = doc.data();
+    // 購入日の無い項目（以前に保存したもの）は一度だけ日付を付けて保存し、期限は見積もりを付けて返す
+    const ingredients = needsDateBackfill(data.ingredients)
+      ? await backfillIngredientDates(userId)
+      : stampIngredients(data.ingredients);
     res.json({
       success: true,
-      ingredients: data.ingredients || [],
+      ingredients,
       notes: data.notes || '',
       updated_at: data.updated_at?.toDate
         ? data.updated_at.toDate().toISOString()
@@ -380,28 +319,13 @@ router.get('/:uid/ingredients', verifyTokenOptional, async (req, res) => {
 });
 
 // 食材リストを保存
-router.post('/:uid/ingredients', verifyTokenOptional, async (req, res) => {
+router.post('/:uid/ingredients', requireUserOrN8n, async (req, res) => {
   try {
     const db = admin.firestore();
     const userId = req.params.uid;
     const { ingredients, notes } = req.body;
 
-    console.log('🥬 食材リスト保存:', userId);
-    console.log('🔐 認証状態:', req.authenticated ? 'あり' : 'なし');
-
-    // 認証がある場合のみユーザーID照合
-    if (req.authenticated && req.lineUserId && req.lineUserId !== userId) {
-      console.error('❌ ユーザーID不一致');
-      return res.status(403).json({
-        success: false,
-        error: 'forbidden'
-      });
-    }
-
-    // 認証がない場合も続行（開発中のため）
-    if (!req.authenticated) {
-      console.log('⚠️ 認証なしでアクセス（開発中のため許可）');
-    }
+    console.log('🥬 食材リスト保存:', userId, `(${req.authVia})`);
 
     console.log('📦 受信データ:', { 
       ingredientsCount: ingredients?.length, 
@@ -425,8 +349,9 @@ router.post('/:uid/ingredients', verifyTokenOptional, async (req, res) => {
 
     console.log('💾 Firestoreに書き込み中...');
 
+    // 購入日が無ければ今日、期限が無ければカテゴリから見積もる
     await ingredientsRef.set({
-      ingredients: ingredients,
+      ingredients: stampIngredients(ingredients),
       notes: notes || '',
       updated_at: admin.firestore.FieldValue.serverTimestamp(),
       created_at: admin.firestore.FieldValue.serverTimestamp()
@@ -450,4 +375,123 @@ router.post('/:uid/ingredients', verifyTokenOptional, async (req, res) => {
   }
 });
 
+// 「作った」の記録（献立の材料を冷蔵庫のリストから差し引いた履歴）
+router.get("/:uid/ingredients/cook-logs", requireUserOrN8n, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    res.json({ logs: await listCookLogs(req.params.uid, { limit }) });
+  } catch (error) {
+    console.error("❌ Error listing cook logs:", error);
+    res.status(500).json({ error: "internal_server_error" });
+  }
+});
+
+// 献立の料理を「作った」にする（body: { planId, day, dish }）
+router.post("/:uid/ingredients/cook-logs", requireUserOrN8n, async (req, res) => {
+  try {
+    const { planId, day, dish } = req.body || {};
+    if (!planId || !Number.isInteger(day) || !Number.isInteger(dish)) {
+      return res.status(400).json({ success: false, error: "invalid_request" });
+    }
+    const result = await applyCooked({
+      userId: req.params.uid,
+      planId,
+      day,
+      dish,
+      source: req.authVia === "n8n" ? "n8n" : "mypage",
+    });
+    if (!result.ok) {
+      return res.status(result.reason === "not_found" ? 404 : 409).json({ success: false, error: result.reason });
+    }
+    res.json({ success: true, logId: result.logId, changes: result.changes, skipped: result.skipped });
+  } catch (error) {
+    console.error("❌ Error applying cooked dish:", error);
+    res.status(500).json({ error: "internal_server_error" });
+  }
+});
+
+// 「作った」を取り消して食材を戻す
+router.post("/:uid/ingredients/cook-logs/:logId/undo", requireUserOrN8n, async (req, res) => {
+  try {
+    const result = await undoCooked(req.params.uid, req.params.logId);
+    if (!result.ok) {
+      return res.status(result.reason === "not_found" ? 404 : 409).json({ success: false, error: result.reason });
+    }
+    res.json({ success: true, restored: result.restored });
+  } catch (error) {
+    console.error("❌ Error undoing cook log:", error);
+    res.status(500).json({ error: "internal_server_error" });
+  }
+});
+
+// 買い物リストを取得
+router.get('/:uid/shopping-list', requireUserOrN8n, async (req, res) => {
+  try {
+    const list = await getShoppingList(req.params.uid);
+    res.json({ success: true, ...list });
+  } catch (error) {
+    console.error('❌ 買い物リスト取得エラー:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 買い物リストに追加（fromMealPlan: true なら献立との差分から作成）
+router.post('/:uid/shopping-list', requireUserOrN8n, async (req, res) => {
+  try {
+    const userId = req.params.uid;
+    const { fromMealPlan, planId, name, quantity, category } = req.body || {};
+
+    if (fromMealPlan || planId) {
+      const result = await buildFromMealPlan(userId, planId || null);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'meal_plan_not_found' });
+      }
+      return res.json({ success: true, ...result });
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    const item = await addShoppingItem(userId, { name, quantity, category });
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('❌ 買い物リスト追加エラー:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 買い物リストの項目を更新（checked: true で冷蔵庫へ移動）
+router.patch('/:uid/shopping-list/:itemId', requireUserOrN8n, async (req, res) => {
+  try {
+    const { uid, itemId } = req.params;
+    const { checked, ...patch } = req.body || {};
+
+    if (checked === true) {
+      const moved = await checkOffItem(uid, itemId);
+      if (!moved) return res.status(404).json({ success: false, error: 'not_found' });
+      console.log(`✅ 買い物チェック → 冷蔵庫へ: ${uid} ${moved.name}`);
+      return res.json({ success: true, movedToFridge: moved });
+    }
+
+    const item = await updateShoppingItem(uid, itemId, patch);
+    if (!item) return res.status(404).json({ success: false, error: 'not_found' });
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('❌ 買い物リスト更新エラー:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 買い物リストの項目を削除
+router.delete('/:uid/shopping-list/:itemId', requireUserOrN8n, async (req, res) => {
+  try {
+    const removed = await removeShoppingItem(req.params.uid, req.params.itemId);
+    if (!removed) return res.status(404).json({ success: false, error: 'not_found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ 買い物リスト削除エラー:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
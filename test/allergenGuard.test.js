@@ -0,0 +1,16 @@
+// test/allergenGuard.test.js
+// プロフィールの書き方 → 品目の対応の回帰テスト
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAvoidList, findConflicts } from "../lib/allergenGuard.js";
+
+test("豆乳アレルギーは乳ではなく大豆として照合する", () => {
+  const avoid = buildAvoidList({ allergies: "豆乳" });
+  assert.deepEqual(findConflicts("牛乳とチーズのグラタン", avoid), []);
+  assert.equal(findConflicts("豆腐のお味噌汁", avoid)[0]?.allergen, "大豆");
+});
+
+test("乳アレルギーは牛乳・チーズを見つける", () => {
+  const avoid = buildAvoidList({ allergies: "乳製品" });
+  assert.equal(findConflicts("牛乳とチーズのグラタン", avoid)[0]?.allergen, "乳");
+});
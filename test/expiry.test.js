@@ -0,0 +1,13 @@
+// test/expiry.test.js
+// 購入日の無い以前の食材の扱いの回帰テスト
+import test from "node:test";
+import assert from "node:assert/strict";
+import { withLegacyPurchaseDates, findExpiringItems, needsDateBackfill } from "../lib/expiry.js";
+
+test("購入日の無い食材はリストの更新日を購入日にする（今日にしない）", () => {
+  const data = { updated_at: { toDate: () => new Date("2026-10-17T03:00:00Z") } };
+  const items = withLegacyPurchaseDates([{ name: "豚こま", category: "肉" }], data, { today: "2026-10-19" });
+  assert.equal(items[0].purchasedAt, "2026-10-17");
+  assert.equal(needsDateBackfill(items), false);
+  assert.deepEqual(findExpiringItems(items, { withinDays: 1, today: "2026-10-19" }).map((i) => i.name), ["豚こま"]);
+});
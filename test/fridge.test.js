@@ -0,0 +1,33 @@
+// test/fridge.test.js
+// スキャン直後の「〇〇じゃなくて△△」の回帰テスト
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseScanCorrection, matchScannedItems, renameIngredient } from "../lib/fridge.js";
+
+test("「鶏肉じゃなくて豚肉ね」でスキャンした「鶏もも肉」を直し、カテゴリも付け直す", () => {
+  const parsed = parseScanCorrection("鶏肉じゃなくて豚肉ね");
+  assert.deepEqual(parsed, { from: "鶏肉", to: "豚肉" });
+
+  const [from, ...rest] = matchScannedItems(["鶏もも肉", "キャベツ"], parsed.from);
+  assert.equal(from, "鶏もも肉");
+  assert.equal(rest.length, 0);
+
+  const items = renameIngredient(
+    [
+      { name: "鶏もも肉", quantity: "1パック", category: "その他", purchasedAt: "2026-10-19" },
+      { name: "キャベツ", category: "野菜", purchasedAt: "2026-10-19" },
+    ],
+    from,
+    "豚肉"
+  );
+  assert.equal(items[0].name, "豚肉");
+  assert.equal(items[0].category, "肉");
+  assert.equal(items[0].quantity, "1パック");
+  assert.equal(items[1].name, "キャベツ");
+});
+
+test("候補が複数ある時は全部返して聞き返す", () => {
+  assert.deepEqual(matchScannedItems(["鶏もも肉", "鶏むね肉", "牛乳"], "鶏肉"), ["鶏もも肉", "鶏むね肉"]);
+  assert.deepEqual(matchScannedItems(["鶏もも肉", "鶏むね肉"], "鶏むね肉"), ["鶏むね肉"]);
+  assert.deepEqual(matchScannedItems(["牛乳"], "豆腐"), []);
+});
@@ -0,0 +1,47 @@
+// test/pantry.test.js
+// 「作った」で冷蔵庫から差し引く処理の回帰テスト
+import test from "node:test";
+import assert from "node:assert/strict";
+import { subtractQuantity, deductIngredients, dishNameFromReport, parseRecipeIngredients } from "../lib/pantry.js";
+
+test("冷蔵庫の量がわからない食材は消さずにそのまま残す", () => {
+  for (const have of ["少し", "", undefined]) {
+    assert.deepEqual(subtractQuantity(have, { amount: 200, unit: "g" }), { status: "unchanged", reason: "unknown_quantity" });
+  }
+  const { next, changes, skipped } = deductIngredients([{ name: "豚こま", quantity: "少し" }], [{ name: "豚こま", amount: 200, unit: "g" }]);
+  assert.deepEqual(next, [{ name: "豚こま", quantity: "少し" }]);
+  assert.equal(changes.length, 0);
+  assert.deepEqual(skipped, [{ name: "豚こま", reason: "unknown_quantity" }]);
+});
+
+test("量がわかる食材は単位をそろえて引く", () => {
+  assert.deepEqual(subtractQuantity("300g", { amount: 0.2, unit: "kg" }), { status: "reduced", quantity: "100g" });
+  assert.deepEqual(subtractQuantity("1パック", { amount: 1, unit: "パック" }), { status: "removed" });
+});
+
+test("会話で提案したレシピの「作った」も冷蔵庫から差し引く", () => {
+  assert.equal(dishNameFromReport("今日は生姜焼き作った！"), "生姜焼き");
+  assert.equal(dishNameFromReport("それ作った！"), null);
+  assert.equal(dishNameFromReport("カレー作ったけど食べてくれない"), null);
+
+  const ingredients = parseRecipeIngredients(
+    JSON.stringify({
+      ingredients: [
+        { name: "豚ロース", amount: 200, unit: "g" },
+        { name: "玉ねぎ", amount: 1, unit: "個" },
+        { name: "しょうゆ", amount: null, unit: "" },
+      ],
+    })
+  );
+  const fridge = [
+    { name: "豚ロース", quantity: "300g" },
+    { name: "玉ねぎ", quantity: "1個" },
+    { name: "キャベツ", quantity: "1/2玉" },
+  ];
+  const { next, changes } = deductIngredients(fridge, ingredients);
+  assert.deepEqual(next, [
+    { name: "豚ロース", quantity: "100g" },
+    { name: "キャベツ", quantity: "1/2玉" },
+  ]);
+  assert.deepEqual(changes.map((c) => c.name), ["豚ロース", "玉ねぎ"]);
+});
@@ -0,0 +1,34 @@
+// test/profile.test.js
+// 会話からのプロフィール抽出を呼ぶ条件の回帰テスト（ふつうの雑談では呼ばない）
+import test from "node:test";
+import assert from "node:assert/strict";
+import { looksLikeProfileStatement, extractProfileFacts } from "../lib/profile.js";
+
+const PLAIN_CHAT = [
+  "今日は疲れた",
+  "夫が料理してくれた",
+  "子どもと公園に行ったよ",
+  "好きな食べ物なに？",
+  "和食と洋食どっちがいいかな",
+  "仕事が嫌いすぎる",
+];
+
+test("ふつうの雑談は抽出しない（LLM も回数の確保も呼ばない）", async () => {
+  for (const text of PLAIN_CHAT) {
+    assert.equal(looksLikeProfileStatement(text), false, text);
+    // Firestore も LLM も初期化していないので、呼んでいればここで失敗する
+    assert.deepEqual(await extractProfileFacts("U_test", text, { plan: "free" }), [], text);
+  }
+});
+
+test("家庭のことをはっきり言っている文は抽出にかける", () => {
+  for (const text of [
+    "うち卵アレルギーの子がいて…",
+    "3人家族です",
+    "息子はピーマンが苦手",
+    "料理は初心者です",
+    "うちは和食が好き",
+  ]) {
+    assert.equal(looksLikeProfileStatement(text), true, text);
+  }
+});
@@ -0,0 +1,23 @@
+// test/replyOptions.test.js
+// 返事から取り出す選択肢ラベルの回帰テスト
+import test from "node:test";
+import assert from "node:assert/strict";
+import { cutTail, extractOptions } from "../lib/replyOptions.js";
+
+test("最後の選択肢から問いかけと助詞を落とす", () => {
+  const items = extractOptions("今日は A) 生姜焼き B) 親子丼 のどっちにする？");
+  assert.deepEqual(items.map((o) => o.label), ["生姜焼き", "親子丼"]);
+
+  assert.equal(cutTail("親子丼 のどっちにする？"), "親子丼");
+  assert.equal(cutTail("親子丼とどっちがいい？"), "親子丼");
+  assert.equal(cutTail("親子丼、どれがよさそう？"), "親子丼");
+  assert.equal(cutTail("親子丼 か"), "親子丼");
+});
+
+test("ラベルの中の助詞は残す", () => {
+  assert.equal(cutTail("ひじきの煮物"), "ひじきの煮物");
+  assert.deepEqual(
+    extractOptions("A）鮭のムニエル、B）豚汁と おにぎり").map((o) => o.label),
+    ["鮭のムニエル", "豚汁と おにぎり"]
+  );
+});
@@ -0,0 +1,48 @@
+// test/safety.test.js
+// 安全モード判定の回帰テスト（日常の言い回しを crisis にしない）
+import test from "node:test";
+import assert from "node:assert/strict";
+import { assessSafety, LEVELS } from "../lib/safety.js";
+
+test("日常の言い回しは crisis にしない", () => {
+  for (const text of [
+    "子どもがよくこける",
+    "ミニトマト買ってこける",
+    "ころころする",
+    "ゴキブリ殺す",
+    "肩と首つらい",
+    "お腹すいて死にそう",
+    "心が揺さぶられた",
+    "窒息しないように気をつけてる",
+    "楽になりたいから早く寝る",
+    "アリスカフェに行った",
+    "息子がおもちゃを投げつけてくる",
+    "窒息させないように注意",
+    "首をしめつけるような痛み",
+    "夫を傷つけそうで",
+    "虐待してないか不安",
+    "子どもを虐待してないか不安",
+  ]) {
+    assert.notEqual(assessSafety(text).level, LEVELS.CRISIS, text);
+  }
+});
+
+test("危険なサインは crisis のまま", () => {
+  for (const text of [
+    "死にたい",
+    "首を吊りたい",
+    "死んで楽になりたい",
+    "子どもを叩いちゃった",
+    "この子を殺してしまいそう",
+    "赤ちゃんを揺さぶってしまいそうで怖い",
+    "リスカしちゃった",
+    "息子の首をしめそうになった",
+    "娘に手をあげてしまった",
+  ]) {
+    assert.equal(assessSafety(text).level, LEVELS.CRISIS, text);
+  }
+});
+
+test("「もう楽になりたい」は見守り（concern）", () => {
+  assert.equal(assessSafety("もう楽になりたい").level, LEVELS.CONCERN);
+});